@@ -0,0 +1,118 @@
+// hostAuth.js
+// Unity host credentials (unityCreate / reattach / unityMsg)
+//
+// Config (env):
+// - UNITY_HOST_KEYS : JSON map location -> shared secret, e.g. {"CINEMA_A":"s3cret","*":"fallback"}
+// - UNITY_HOST_KEY  : single shared secret used for any location not listed above
+// If neither is set, host auth is OFF (legacy behaviour) and we log that once.
+//
+// Flow:
+// - Unity sends { type:"unityCreate", ..., hostKey } (its location's secret)
+// - Server replies unityCreated { ..., hostToken } where
+//     hostToken = HMAC-SHA256(locationSecret, "<location>:<code>:<session.hostNonce>")
+//   The nonce is minted per session (and again on reattach) and journaled with it, so a
+//   token survives a backend restart but dies with its session: room codes get reused.
+// - Unity puts hostToken on every unityMsg; reattach accepts hostKey OR hostToken.
+
+const crypto = require("crypto");
+
+let _hasLoggedAuthDisabled = false;
+
+// Map, not a plain object: a location like "constructor" must not resolve to a prototype key
+function parseHostKeys() {
+  const map = new Map();
+  const rawMap = (process.env.UNITY_HOST_KEYS || "").trim();
+  if (rawMap) {
+    try {
+      const parsed = JSON.parse(rawMap);
+      if (parsed && typeof parsed === "object") {
+        for (const [loc, secret] of Object.entries(parsed)) {
+          if (typeof secret !== "string") {
+            console.warn(`[hostAuth] UNITY_HOST_KEYS["${loc}"] is not a string; ignoring`);
+            continue;
+          }
+          const s = secret.trim();
+          if (s) map.set(loc, s);
+        }
+      }
+    } catch (e) {
+      console.warn("[hostAuth] UNITY_HOST_KEYS is not valid JSON; ignoring:", e?.message || e);
+    }
+  }
+
+  const fallback = (process.env.UNITY_HOST_KEY || "").trim();
+  if (fallback && !map.has("*")) map.set("*", fallback);
+  return map;
+}
+
+const HOST_KEYS = parseHostKeys();
+
+function isHostAuthEnabled() {
+  const enabled = HOST_KEYS.size > 0;
+  if (!enabled && !_hasLoggedAuthDisabled) {
+    console.info(
+      "[hostAuth] No UNITY_HOST_KEYS / UNITY_HOST_KEY configured; Unity host auth is DISABLED."
+    );
+    _hasLoggedAuthDisabled = true;
+  }
+  return enabled;
+}
+
+function getLocationSecret(location) {
+  const loc = (location || "").toString();
+  return HOST_KEYS.get(loc) || HOST_KEYS.get("*") || "";
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a || ""), "utf-8");
+  const bb = Buffer.from(String(b || ""), "utf-8");
+  if (ba.length === 0 || ba.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ba, bb);
+}
+
+// Fresh per-session nonce (server stores it as session.hostNonce)
+function newHostNonce() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+// null when auth is off or the session can't be signed (never throws: callers are async handlers)
+function signHostToken(session) {
+  try {
+    const secret = getLocationSecret(session?.location);
+    if (!secret) return null;
+    // sessions journaled before nonces existed keep their old "<location>:<code>" token
+    const nonce = typeof session.hostNonce === "string" ? `:${session.hostNonce}` : "";
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${session.location}:${session.code}${nonce}`)
+      .digest("hex");
+  } catch (e) {
+    console.warn("[hostAuth] signHostToken failed:", e?.message || e);
+    return null;
+  }
+}
+
+// unityCreate (new session): must present the location's secret
+function verifyHostKey(location, hostKey) {
+  if (!isHostAuthEnabled()) return true;
+  const secret = getLocationSecret(location);
+  if (!secret) return false;
+  return safeEqual(hostKey, secret);
+}
+
+// reattach / unityMsg: session token (or the location secret on reattach)
+function verifyHostToken(session, hostToken) {
+  if (!isHostAuthEnabled()) return true;
+  if (!session) return false;
+  const expected = signHostToken(session);
+  if (!expected) return false;
+  return safeEqual(hostToken, expected);
+}
+
+module.exports = {
+  isHostAuthEnabled,
+  newHostNonce,
+  signHostToken,
+  verifyHostKey,
+  verifyHostToken,
+};
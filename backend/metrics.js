@@ -0,0 +1,160 @@
+// metrics.js
+// Tiny Prometheus-style registry (text exposition format, no deps)
+//
+// - Counters live here and are bumped from server.js / adapters.
+// - Gauges are computed at scrape time by server.js (sessions, sockets, timers)
+//   and passed into renderMetrics() as samples.
+
+const PREFIX = "cinemagames_";
+
+// Window for the per-type message rate gauge
+const RATE_WINDOW_SECONDS = 60;
+
+// Known inbound message types; anything else is bucketed as "other" (label cardinality)
+const KNOWN_MESSAGE_TYPES = new Set([
+  "unityCreate",
+  "playerJoin",
+  "playerJoinTow",
+  "playerResume",
+  "unityMsg",
+  "playerMsg",
+  "spectate",
+  "ping",
+  "hello",
+  "invalid_json",
+]);
+
+const metricDefs = new Map(); // name -> { type, help }
+const counters = new Map(); // name -> Map(labelKey -> { labels, value })
+
+// type -> { buckets: number[], second: number } (ring of per-second counts)
+const messageRates = new Map();
+
+function define(name, type, help) {
+  metricDefs.set(PREFIX + name, { type, help });
+}
+
+define("ws_messages_total", "counter", "Inbound WebSocket messages by type");
+define("ws_messages_per_second", "gauge", `Inbound WebSocket messages per second by type (${RATE_WINDOW_SECONDS}s average)`);
+define("end_session_total", "counter", "endSession calls by reason");
+define("taps_total", "counter", "Player taps by gameType and result (accepted | dropped | rejected)");
+
+/* ===========================
+   Counters
+=========================== */
+
+function labelKey(labels) {
+  return Object.keys(labels)
+    .sort()
+    .map((k) => `${k}=${labels[k]}`)
+    .join(",");
+}
+
+function inc(name, labels = {}, by = 1) {
+  const full = PREFIX + name;
+  if (!counters.has(full)) counters.set(full, new Map());
+  const series = counters.get(full);
+  const key = labelKey(labels);
+  const cur = series.get(key);
+  if (cur) cur.value += by;
+  else series.set(key, { labels: { ...labels }, value: by });
+}
+
+function currentSecond() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function recordMessage(type) {
+  const t = KNOWN_MESSAGE_TYPES.has(type) ? type : "other";
+  inc("ws_messages_total", { type: t });
+
+  const now = currentSecond();
+  let rate = messageRates.get(t);
+  if (!rate) {
+    rate = { buckets: new Array(RATE_WINDOW_SECONDS).fill(0), second: now };
+    messageRates.set(t, rate);
+  }
+  advanceRate(rate, now);
+  rate.buckets[now % RATE_WINDOW_SECONDS] += 1;
+}
+
+// Zero out buckets for seconds that passed with no traffic
+function advanceRate(rate, now) {
+  const gap = Math.min(RATE_WINDOW_SECONDS, now - rate.second);
+  for (let i = 1; i <= gap; i++) rate.buckets[(rate.second + i) % RATE_WINDOW_SECONDS] = 0;
+  rate.second = now;
+}
+
+function recordEndSession(reason) {
+  inc("end_session_total", { reason: reason || "unspecified" });
+}
+
+// Process-wide (no room code label: codes are reused and unbounded)
+function recordTaps(gameType, result, n = 1) {
+  if (n > 0) inc("taps_total", { gameType, result }, n);
+}
+
+/* ===========================
+   Rendering
+=========================== */
+
+function escapeLabelValue(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels || {});
+  if (!keys.length) return "";
+  return "{" + keys.map((k) => `${k}="${escapeLabelValue(labels[k])}"`).join(",") + "}";
+}
+
+function formatValue(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? String(n) : "0";
+}
+
+// samples: [{ name, type, help, labels?, value }] computed by the caller at scrape time
+function renderMetrics(samples = []) {
+  const byName = new Map(); // full name -> [{ labels, value }]
+
+  for (const [name, series] of counters.entries()) {
+    byName.set(name, [...series.values()]);
+  }
+
+  const now = currentSecond();
+  const rateName = PREFIX + "ws_messages_per_second";
+  byName.set(
+    rateName,
+    [...messageRates.entries()].map(([type, rate]) => {
+      advanceRate(rate, now);
+      const total = rate.buckets.reduce((a, b) => a + b, 0);
+      return { labels: { type }, value: +(total / RATE_WINDOW_SECONDS).toFixed(3) };
+    })
+  );
+
+  for (const s of samples) {
+    const full = PREFIX + s.name;
+    if (!metricDefs.has(full)) metricDefs.set(full, { type: s.type || "gauge", help: s.help || s.name });
+    if (!byName.has(full)) byName.set(full, []);
+    byName.get(full).push({ labels: s.labels || {}, value: s.value });
+  }
+
+  const lines = [];
+  for (const [name, series] of byName.entries()) {
+    const def = metricDefs.get(name) || { type: "gauge", help: name };
+    lines.push(`# HELP ${name} ${def.help}`);
+    lines.push(`# TYPE ${name} ${def.type}`);
+    for (const { labels, value } of series) {
+      lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  inc,
+  recordMessage,
+  recordEndSession,
+  recordTaps,
+  renderMetrics,
+};
@@ -0,0 +1,338 @@
+// protocol.js
+// Declarative schemas for inbound WebSocket messages (+ tiny validator, no deps)
+//
+// - One schema per router message `type` (MESSAGE_SCHEMAS below).
+// - Adapter payloads (unityMsg / playerMsg) are validated against the adapter's own
+//   `unityPayloadSchemas` / `playerPayloadSchemas`, keyed by payload `kind`.
+// - Invalid -> { type:"error", ok:false, reason:"invalid_message", source, path, message }
+//
+// Versioning (first message of a connection):
+// - Clients may add { protocolVersion, minProtocolVersion?, features:[...] } to their first
+//   message (or send { type:"hello", ... } first). Server replies
+//   { type:"protocol", ok:true, version, supported:{min,max}, features } and from then on
+//   only sends that version's canonical message set (SUPERSEDED_TYPES are dropped).
+// - Clients that declare nothing are treated as v1 (legacy: every alias is sent, no reply).
+//
+// Field spec:
+//   { type: "string"|"integer"|"number"|"boolean"|"object"|"array" (or an array of those),
+//     required?, min?, max?, maxLength?, enum?, caseInsensitive?, items? (spec for array items),
+//     maxItems? }
+// Optional fields may be null (Unity's JSON.NET sends unset strings as null).
+// Enums match exactly; caseInsensitive also ignores case + surrounding spaces. Only set it on
+// fields whose handler normalizes the value itself (tiePolicy, recordSinks, inputModes).
+// Unknown fields are allowed so older/newer clients keep working.
+
+const str = (maxLength, extra = {}) => ({ type: "string", maxLength, ...extra });
+
+const PROTOCOL_MIN = 1;
+const PROTOCOL_MAX = 2;
+
+// Optional capabilities; a connection gets the intersection with what it declares
+// progress: live { type:"progress" } round feed (throttled; only sent to clients that ask)
+const SERVER_FEATURES = ["resume", "lateJoin", "roundEvents", "kicked", "progress"];
+
+// Outbound types NOT sent to a connection speaking that version
+// v2: one join ack (joinResult) and one resume ack (resumeResult), both carrying the snapshot
+const SUPERSEDED_TYPES = {
+  1: [],
+  2: ["joined", "resumed"],
+};
+
+// Accepted on any message (only read on the first one)
+const COMMON_FIELDS = {
+  protocolVersion: { type: "integer", min: 1, max: 99 },
+  minProtocolVersion: { type: "integer", min: 1, max: 99 },
+  features: { type: "array", items: str(32) },
+};
+
+const MESSAGE_SCHEMAS = {
+  unityCreate: {
+    gameType: str(32, { required: true }),
+    location: str(64),
+    teamCount: { type: "integer", min: 1, max: 8 },
+    allowedNumberOfPlayers: { type: "integer", required: true, min: 1, max: 10000 },
+    requestedCode: str(16),
+    roomCodeLength: { type: "integer", min: 3, max: 8 },
+    voucherPool: { type: "array", items: { type: ["string", "object"] } },
+    teamA_name: str(64),
+    teamB_name: str(64),
+    teamA_color: str(16),
+    teamB_color: str(16),
+    teamA_playerSeat: { type: "array", items: str(16) },
+    teamB_playerSeat: { type: "array", items: str(16) },
+    teamAssignmentMode: str(32), // unknown -> roundRobin (server sanitizes)
+    // 0 = half of allowedNumberOfPlayers (Unity's ControlConfig default, always serialised)
+    teamCapacity: { type: "integer", min: 0, max: 10000 },
+    winTopUnderStart: { type: ["integer", "string"] },
+    winTopUnderMax: { type: ["integer", "string"] },
+    prizeRules: { type: "array", items: { type: "object" } },
+    s3Bucket: str(255),
+    recordSinks: {
+      type: "array",
+      items: { type: "string", enum: ["fs", "webhook", "s3"], caseInsensitive: true },
+    },
+    hostKey: str(256),
+    hostToken: str(256),
+    simulation: { type: ["boolean", "object"] },
+    bestOf: { type: "integer", min: 1, max: 15 },
+    totalRounds: { type: "integer", min: 1, max: 15 },
+    roundDurationSeconds: { type: "number", min: 1, max: 3600 },
+    bufferSeconds: { type: "number", min: 0, max: 60 },
+    roundEndDisplaySeconds: { type: "number", min: 0, max: 60 },
+    tiePolicy: { type: "string", enum: ["allow", "taps", "suddenDeath"], caseInsensitive: true },
+    // Phone input mechanics the room allows (adapter default ["tap"]) + conversion tuning
+    inputModes: {
+      type: "array",
+      maxItems: 8,
+      items: { type: "string", enum: ["tap", "hold", "swipe", "rhythm"], caseInsensitive: true },
+    },
+    inputTuning: { type: "object" },
+  },
+
+  playerJoin: {
+    code: str(16),
+    username: str(64),
+    fullName: str(120),
+    seat: str(16),
+    teamId: { type: ["integer", "string"] },
+    uid: str(128),
+  },
+
+  playerJoinTow: {
+    code: str(16),
+    username: str(64),
+    fullName: str(120),
+    seat: str(16),
+    teamIndex: { type: "integer", min: 0, max: 1 }, // playerChoice mode
+  },
+
+  playerResume: {
+    code: str(16),
+    username: str(64),
+    fullName: str(120),
+    resumeToken: str(64),
+  },
+
+  unityMsg: {
+    code: str(16, { required: true }),
+    hostToken: str(256),
+    payload: { type: "object", required: true },
+  },
+
+  playerMsg: {
+    code: str(16),
+    username: str(64),
+    payload: { type: "object", required: true },
+  },
+
+  // read-only second screen (lobby display, stream overlay, host tablet)
+  spectate: {
+    code: str(16, { required: true }),
+  },
+
+  ping: {},
+
+  hello: {
+    role: { type: "string", enum: ["unity", "player", "spectator"] },
+  },
+};
+
+/* ===========================
+   Validator
+=========================== */
+
+function typeOfValue(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  const actual = typeOfValue(v);
+  const types = Array.isArray(type) ? type : [type];
+  return types.some((t) => t === actual || (t === "number" && actual === "integer"));
+}
+
+function enumIncludes(values, v, caseInsensitive) {
+  if (!caseInsensitive || typeof v !== "string") return values.includes(v);
+  const key = v.trim().toLowerCase();
+  return values.some((e) => typeof e === "string" && e.toLowerCase() === key);
+}
+
+function fail(path, message) {
+  return { ok: false, path, message };
+}
+
+function validateValue(v, spec, path) {
+  if (v === undefined || v === null) {
+    return spec.required ? fail(path, "is required") : { ok: true };
+  }
+
+  if (spec.type && !matchesType(v, spec.type)) {
+    const want = Array.isArray(spec.type) ? spec.type.join(" | ") : spec.type;
+    return fail(path, `expected ${want}, got ${typeOfValue(v)}`);
+  }
+
+  if (typeof v === "number" && !Number.isFinite(v)) return fail(path, "must be finite");
+  if (typeof v === "number" && typeof spec.min === "number" && v < spec.min) {
+    return fail(path, `must be >= ${spec.min}`);
+  }
+  if (typeof v === "number" && typeof spec.max === "number" && v > spec.max) {
+    return fail(path, `must be <= ${spec.max}`);
+  }
+  if (typeof v === "string" && typeof spec.maxLength === "number" && v.length > spec.maxLength) {
+    return fail(path, `must be at most ${spec.maxLength} characters`);
+  }
+  if (Array.isArray(spec.enum) && !enumIncludes(spec.enum, v, spec.caseInsensitive)) {
+    return fail(path, `must be one of ${spec.enum.join(", ")}`);
+  }
+
+  if (Array.isArray(v) && typeof spec.maxItems === "number" && v.length > spec.maxItems) {
+    return fail(path, `must have at most ${spec.maxItems} items`);
+  }
+
+  if (Array.isArray(v) && spec.items) {
+    for (let i = 0; i < v.length; i++) {
+      const r = validateValue(v[i], { ...spec.items, required: true }, `${path}[${i}]`);
+      if (!r.ok) return r;
+    }
+  }
+
+  if (spec.fields && typeOfValue(v) === "object") {
+    return validateFields(v, spec.fields, path);
+  }
+
+  return { ok: true };
+}
+
+function validateFields(obj, fields, basePath) {
+  for (const [key, spec] of Object.entries(fields || {})) {
+    const path = basePath ? `${basePath}.${key}` : key;
+    const r = validateValue(obj[key], spec, path);
+    if (!r.ok) return r;
+  }
+  return { ok: true };
+}
+
+/* ===========================
+   Public API
+=========================== */
+
+function payloadKind(payload) {
+  return payload?.kind ?? payload?.type;
+}
+
+// Envelope check. Unknown `type`s pass (router ignores them as before).
+function validateMessage(msg) {
+  if (typeOfValue(msg) !== "object") return fail("", "message must be a JSON object");
+  if (typeof msg.type !== "string") return fail("type", "expected string");
+
+  const common = validateFields(msg, COMMON_FIELDS, "");
+  if (!common.ok) return common;
+
+  const fields = MESSAGE_SCHEMAS[msg.type];
+  if (!fields) return { ok: true };
+  return validateFields(msg, fields, "");
+}
+
+// Pick a version for this connection from its first message
+function negotiate(msg) {
+  const declared = typeof msg.protocolVersion === "number";
+  if (!declared) return { ok: true, declared: false, version: 1, features: [] };
+
+  const clientMax = msg.protocolVersion;
+  const clientMin = typeof msg.minProtocolVersion === "number" ? msg.minProtocolVersion : 1;
+  const version = Math.min(clientMax, PROTOCOL_MAX);
+
+  if (version < Math.max(clientMin, PROTOCOL_MIN)) {
+    return { ok: false, declared: true, version: null, features: [] };
+  }
+
+  const wanted = new Set(Array.isArray(msg.features) ? msg.features : []);
+  const features = SERVER_FEATURES.filter((f) => wanted.has(f));
+  return { ok: true, declared: true, version, features };
+}
+
+function protocolReply(negotiated) {
+  const supported = { min: PROTOCOL_MIN, max: PROTOCOL_MAX };
+  if (!negotiated.ok) {
+    return {
+      type: "error",
+      ok: false,
+      reason: "unsupported_protocol",
+      supported,
+      message: `protocol versions ${PROTOCOL_MIN}-${PROTOCOL_MAX} are supported`,
+    };
+  }
+  return {
+    type: "protocol",
+    ok: true,
+    version: negotiated.version,
+    supported,
+    features: negotiated.features,
+  };
+}
+
+// Remember the negotiated protocol on the socket and drop superseded outbound types.
+// Wraps ws.send so adapters (which send directly) get filtered too.
+function attachProtocol(ws, negotiated) {
+  ws.protocolInfo = { version: negotiated.version, features: negotiated.features };
+
+  const dropped = new Set(SUPERSEDED_TYPES[negotiated.version] || []);
+  if (!dropped.size || ws._sendUnfiltered) return;
+
+  ws._sendUnfiltered = ws.send.bind(ws);
+  ws.send = (data, ...rest) => {
+    if (typeof data === "string") {
+      try {
+        const type = JSON.parse(data)?.type;
+        if (dropped.has(type)) return;
+      } catch (_) {}
+    }
+    return ws._sendUnfiltered(data, ...rest);
+  };
+}
+
+function hasFeature(ws, feature) {
+  return !!ws?.protocolInfo?.features?.includes(feature);
+}
+
+// Adapter payload check by `kind`. Adapters without schemas are not checked.
+function validatePayload(schemasByKind, payload, basePath = "payload") {
+  if (!schemasByKind) return { ok: true };
+
+  const kind = payloadKind(payload);
+  if (typeof kind !== "string" || !kind) return fail(`${basePath}.kind`, "is required");
+
+  const fields = schemasByKind[kind] ?? schemasByKind[kind.toLowerCase()];
+  if (!fields) {
+    return fail(`${basePath}.kind`, `unknown kind "${kind}"`);
+  }
+  return validateFields(payload, fields, basePath);
+}
+
+function errorReply(msg, result) {
+  return {
+    type: "error",
+    ok: false,
+    reason: "invalid_message",
+    source: typeof msg?.type === "string" ? msg.type : null,
+    kind: typeof payloadKind(msg?.payload) === "string" ? payloadKind(msg.payload) : null,
+    path: result.path,
+    message: `${result.path || "message"} ${result.message}`,
+  };
+}
+
+module.exports = {
+  PROTOCOL_MIN,
+  PROTOCOL_MAX,
+  MESSAGE_SCHEMAS,
+  validateMessage,
+  negotiate,
+  protocolReply,
+  attachProtocol,
+  hasFeature,
+  validatePayload,
+  errorReply,
+};
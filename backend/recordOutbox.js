@@ -0,0 +1,212 @@
+// recordOutbox.js
+// Durable retry queue for game records a sink failed to store (venue internet drops).
+//
+// - One JSON file per (sink, key) in RECORD_OUTBOX_DIR (default backend/data/outbox):
+//     { id, sink, key, bucket, record, attempts, createdAt, nextAttemptAt, lastReason }
+// - start() loads the directory on boot, so pending records survive restarts.
+// - Retries back off exponentially (capped); success deletes the file.
+// - Config problems (missing bucket / SDK / webhook URL) are not queued: retrying can't fix them.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const recordSinks = require("./recordSinks");
+
+const OUTBOX_DIR =
+  (process.env.RECORD_OUTBOX_DIR || "").trim() || path.join(__dirname, "data", "outbox");
+
+const OUTBOX_ENABLED = (process.env.RECORD_OUTBOX_DISABLED || "").trim() !== "1";
+
+// How often due entries are looked at
+const POLL_MS = 5000;
+
+// Backoff: 10s, 20s, 40s ... capped at 30 min
+const RETRY_BASE_MS = 10_000;
+const RETRY_MAX_MS = 30 * 60_000;
+
+const NOT_RETRYABLE = new Set(["missing_bucket", "missing_sdk", "missing_webhook_url", "unknown_sink"]);
+
+const pending = new Map(); // id -> entry
+let pollTimer = null;
+let draining = null; // in-flight drain pass (promise)
+
+/* ===========================
+   Disk
+=========================== */
+
+function entryId(sink, key) {
+  return crypto.createHash("sha1").update(`${sink}|${key}`).digest("hex").slice(0, 16);
+}
+
+function entryPath(id) {
+  return path.join(OUTBOX_DIR, `${id}.json`);
+}
+
+async function persist(entry) {
+  await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+  const file = entryPath(entry.id);
+  await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(entry), "utf-8");
+  await fs.promises.rename(`${file}.tmp`, file);
+}
+
+async function remove(id) {
+  try {
+    await fs.promises.unlink(entryPath(id));
+  } catch (_) {}
+}
+
+function loadFromDisk() {
+  let files = [];
+  try {
+    files = fs.readdirSync(OUTBOX_DIR).filter((f) => f.endsWith(".json"));
+  } catch (_) {
+    return;
+  }
+
+  for (const f of files) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, f), "utf-8"));
+      if (entry && entry.id && entry.sink && entry.key) pending.set(entry.id, entry);
+    } catch (e) {
+      console.warn(`[recordOutbox] skipping unreadable entry ${f}:`, e?.message || e);
+    }
+  }
+}
+
+/* ===========================
+   Retry loop
+=========================== */
+
+function backoffMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+async function attempt(entry) {
+  const res = await recordSinks.writeToSink(entry.sink, {
+    key: entry.key,
+    record: entry.record,
+    bucket: entry.bucket,
+  });
+
+  if (res.ok) {
+    pending.delete(entry.id);
+    await remove(entry.id);
+    console.log(`[recordOutbox] delivered ${entry.key} via ${entry.sink} (retry #${entry.attempts + 1})`);
+    return;
+  }
+
+  entry.attempts += 1;
+  entry.lastReason = res.reason;
+  entry.lastAttemptAt = Date.now();
+  entry.nextAttemptAt = Date.now() + backoffMs(entry.attempts);
+  try {
+    await persist(entry);
+  } catch (_) {}
+}
+
+// One pass at a time: callers arriving mid-pass get the in-flight one
+function drain() {
+  if (draining) return draining;
+  draining = (async () => {
+    try {
+      const now = Date.now();
+      for (const entry of [...pending.values()]) {
+        if (entry.nextAttemptAt > now) continue;
+        await attempt(entry);
+      }
+    } catch (e) {
+      console.warn("[recordOutbox] drain failed:", e?.message || e);
+    } finally {
+      draining = null;
+    }
+  })();
+  return draining;
+}
+
+/* ===========================
+   Public API
+=========================== */
+
+function start() {
+  if (!OUTBOX_ENABLED || pollTimer) return;
+  loadFromDisk();
+  if (pending.size) console.log(`[recordOutbox] ${pending.size} pending record(s) from ${OUTBOX_DIR}`);
+
+  pollTimer = setInterval(() => {
+    drain();
+  }, POLL_MS);
+  pollTimer.unref?.();
+}
+
+// results: writeRecord() output; failed + retryable sinks are queued (result.queued = true)
+async function enqueueFailed(results, { key, record, bucket }) {
+  if (!OUTBOX_ENABLED) return results;
+
+  for (const r of results || []) {
+    if (r.ok || NOT_RETRYABLE.has(r.reason)) continue;
+
+    const id = entryId(r.sink, key);
+    const entry = {
+      id,
+      sink: r.sink,
+      key,
+      bucket: bucket || null,
+      record,
+      attempts: 0,
+      createdAt: Date.now(),
+      lastAttemptAt: Date.now(),
+      nextAttemptAt: Date.now() + RETRY_BASE_MS,
+      lastReason: r.reason,
+    };
+
+    try {
+      await persist(entry);
+      pending.set(id, entry);
+      r.queued = true;
+    } catch (e) {
+      console.warn(`[recordOutbox] could not queue ${key} for ${r.sink}:`, e?.message || e);
+    }
+  }
+  return results;
+}
+
+// Summaries for the admin endpoint (record bodies left out)
+function listPending() {
+  return [...pending.values()]
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map((e) => ({
+      id: e.id,
+      sink: e.sink,
+      key: e.key,
+      bucket: e.bucket,
+      gameRoomCode: e.record?.gameRoomCode ?? null,
+      attempts: e.attempts,
+      lastReason: e.lastReason,
+      createdAt: new Date(e.createdAt).toISOString(),
+      nextAttemptAt: new Date(e.nextAttemptAt).toISOString(),
+    }));
+}
+
+// Make everything due now and run one full pass (admin "retry"); a poll pass already running
+// may have skipped entries that weren't due yet, so wait it out and start a fresh one
+async function retryNow() {
+  if (draining) await draining;
+  for (const entry of pending.values()) entry.nextAttemptAt = 0;
+  await drain();
+  return pending.size;
+}
+
+function pendingCount() {
+  return pending.size;
+}
+
+module.exports = {
+  OUTBOX_DIR,
+  OUTBOX_ENABLED,
+  start,
+  enqueueFailed,
+  listPending,
+  retryNow,
+  pendingCount,
+};
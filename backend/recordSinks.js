@@ -0,0 +1,222 @@
+// recordSinks.js
+// Where finished game records go (filesystem, webhook, S3). Adapter-agnostic.
+//
+// - A session picks sinks by name ("fs" | "webhook" | "s3"); destinations come from env
+//   (RECORD_DIR, RECORD_WEBHOOK_URL, S3 bucket resolved by the adapter) so a host can't
+//   point writes at arbitrary paths/URLs.
+// - Default sinks: RECORD_SINKS="s3,fs" -> records still land on disk when S3 is missing
+//   (offline venues, test boxes).
+// - writeRecord() runs every sink, never throws, and returns one result per sink:
+//     { sink, ok, location, reason, attempts }
+
+const fs = require("fs");
+const path = require("path");
+
+const SINK_TYPES = ["fs", "webhook", "s3"];
+
+const RECORD_DIR = (process.env.RECORD_DIR || "").trim() || path.join(__dirname, "data", "records");
+
+const WEBHOOK_URL = (process.env.RECORD_WEBHOOK_URL || "").trim();
+const WEBHOOK_TOKEN = (process.env.RECORD_WEBHOOK_TOKEN || "").trim();
+const WEBHOOK_TIMEOUT_MS = Number(process.env.RECORD_WEBHOOK_TIMEOUT_MS || 5000) || 5000;
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.RECORD_WEBHOOK_ATTEMPTS || 3) || 3);
+const WEBHOOK_RETRY_BASE_MS = 500;
+
+const DEFAULT_SINKS = parseSinkNames(process.env.RECORD_SINKS || "s3,fs");
+
+// Process-wide outcomes for /metrics: "sink|result" -> count
+const resultCounts = {};
+
+let _hasLoggedMissingBucket = false;
+
+/* ===========================
+   Config
+=========================== */
+
+function parseSinkNames(v) {
+  const list = Array.isArray(v) ? v : String(v || "").split(",");
+  const out = [];
+  for (const raw of list) {
+    const name = String(raw || "").trim().toLowerCase();
+    if (SINK_TYPES.includes(name) && !out.includes(name)) out.push(name);
+  }
+  return out;
+}
+
+// requested: array of sink names from unityCreate (or empty -> env default)
+function resolveSinkNames(requested) {
+  const names = parseSinkNames(requested);
+  return names.length ? names : DEFAULT_SINKS.slice();
+}
+
+/* ===========================
+   Sinks
+=========================== */
+
+async function writeFsSink({ key, record }) {
+  const file = path.join(RECORD_DIR, ...String(key).split("/").filter((p) => p && p !== ".."));
+  const tmp = `${file}.tmp`;
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify(record, null, 2), "utf-8");
+    await fs.promises.rename(tmp, file);
+    return { ok: true, location: file };
+  } catch (e) {
+    console.warn("[recordSinks] fs write failed:", e?.message || e);
+    return { ok: false, reason: "fs_write_failed" };
+  }
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function postOnce(body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const headers = { "Content-Type": "application/json; charset=utf-8" };
+    if (WEBHOOK_TOKEN) headers.Authorization = `Bearer ${WEBHOOK_TOKEN}`;
+    const res = await fetch(WEBHOOK_URL, { method: "POST", headers, body, signal: controller.signal });
+    return { status: res.status };
+  } catch (e) {
+    return { status: 0, error: e?.name === "AbortError" ? "timeout" : e?.message || String(e) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Retries network errors, timeouts, 429 and 5xx with exponential backoff
+async function writeWebhookSink({ key, record }) {
+  if (!WEBHOOK_URL) return { ok: false, reason: "missing_webhook_url", attempts: 0 };
+
+  const body = JSON.stringify({ key, record });
+  let last = null;
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    last = await postOnce(body);
+    if (last.status >= 200 && last.status < 300) {
+      return { ok: true, location: WEBHOOK_URL, attempts: attempt };
+    }
+
+    const retryable = last.status === 0 || last.status === 429 || last.status >= 500;
+    if (!retryable) break;
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) await sleep(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1));
+  }
+
+  console.warn(
+    `[recordSinks] webhook failed for ${key}:`,
+    last?.error || `HTTP ${last?.status}`
+  );
+  return {
+    ok: false,
+    reason: last?.status ? `webhook_http_${last.status}` : "webhook_unreachable",
+    attempts: WEBHOOK_MAX_ATTEMPTS,
+  };
+}
+
+async function writeS3Sink({ key, record, bucket }) {
+  if (!bucket) {
+    if (!_hasLoggedMissingBucket) {
+      console.info(
+        "[recordSinks] S3 bucket not configured; skipping S3 record sink. " +
+          "Set S3_BUCKET_NAME (or CINEMAGAMES_S3_BUCKET/AWS_BUCKET_NAME) to enable."
+      );
+      _hasLoggedMissingBucket = true;
+    }
+    return { ok: false, reason: "missing_bucket" };
+  }
+
+  let S3Client, PutObjectCommand;
+  try {
+    ({ S3Client, PutObjectCommand } = require("@aws-sdk/client-s3"));
+  } catch (e) {
+    console.warn("[recordSinks] @aws-sdk/client-s3 not installed; skipping S3 upload");
+    return { ok: false, reason: "missing_sdk" };
+  }
+
+  const region =
+    (process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || "").trim() ||
+    "ap-southeast-1";
+
+  const client = new S3Client({ region });
+  const Body = Buffer.from(JSON.stringify(record, null, 2), "utf-8");
+
+  try {
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body,
+        ContentType: "application/json; charset=utf-8",
+      })
+    );
+    return { ok: true, location: `s3://${bucket}/${key}` };
+  } catch (e) {
+    console.warn("[recordSinks] S3 upload failed:", e?.message || e);
+    return { ok: false, reason: "upload_failed" };
+  }
+}
+
+const WRITERS = {
+  fs: writeFsSink,
+  webhook: writeWebhookSink,
+  s3: writeS3Sink,
+};
+
+/* ===========================
+   Public API
+=========================== */
+
+function countResult(sink, res) {
+  const k = `${sink}|${res?.ok ? "ok" : res?.reason || "unknown"}`;
+  resultCounts[k] = (resultCounts[k] || 0) + 1;
+}
+
+// One sink, never throws
+async function writeToSink(sink, { key, record, bucket }) {
+  const writer = WRITERS[sink];
+  let res;
+  try {
+    res = writer ? await writer({ key, record, bucket }) : { ok: false, reason: "unknown_sink" };
+  } catch (e) {
+    res = { ok: false, reason: "sink_error" };
+  }
+  countResult(sink, res);
+  return {
+    sink,
+    ok: !!res.ok,
+    location: res.location || null,
+    reason: res.ok ? null : res.reason || "unknown",
+    attempts: typeof res.attempts === "number" ? res.attempts : 1,
+  };
+}
+
+// sinks: names from resolveSinkNames(); bucket: resolved S3 bucket (s3 sink only)
+async function writeRecord(sinks, { key, record, bucket }) {
+  const names = parseSinkNames(sinks);
+  return Promise.all(names.map((sink) => writeToSink(sink, { key, record, bucket })));
+}
+
+// /metrics samples: record_writes_total{sink,result}
+function sinkMetrics() {
+  return Object.entries(resultCounts).map(([k, count]) => {
+    const [sink, result] = k.split("|");
+    return {
+      name: "record_writes_total",
+      type: "counter",
+      help: "Game record writes by sink and result",
+      labels: { sink, result },
+      value: count,
+    };
+  });
+}
+
+module.exports = {
+  SINK_TYPES,
+  RECORD_DIR,
+  resolveSinkNames,
+  writeToSink,
+  writeRecord,
+  sinkMetrics,
+};
@@ -0,0 +1,92 @@
+// roomCodes.js
+// Server-side room code generation (used when unityCreate has no requestedCode)
+//
+// Rules (same as lettersOnly() + webapp normalizeCode()):
+// - A–Z only, length 3..8 (default 4, or Unity's roomCodeLength)
+// - never a live code, never a code that ended recently (stale phones/QRs)
+// - never contains a blocklisted letter combination
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+const MIN_CODE_LEN = 3;
+const MAX_CODE_LEN = 8;
+const DEFAULT_CODE_LEN = Number(process.env.ROOM_CODE_LENGTH || 4) || 4;
+
+// How long an ended code stays out of rotation
+const RECENT_CODE_TTL_MS = 30 * 60_000;
+
+// Give up after this many random draws (caller reports code_unavailable)
+const MAX_ATTEMPTS = 500;
+
+// Substrings that must never show up in a generated code (EN + PH venues).
+// Extend without a deploy via ROOM_CODE_BLOCKLIST="ABC,DEF".
+const BLOCKLIST = [
+  "ASS", "CUM", "CUNT", "COCK", "COK", "DIC", "DIK", "DAMN", "FAG", "FCK", "FUC", "FUK",
+  "FUQ", "GOD", "HOE", "JIZ", "KKK", "NAZI", "NGR", "NIG", "PEE", "PIS", "POO", "PUS",
+  "RAPE", "SEX", "SHT", "SHIT", "SLUT", "STFU", "TIT", "TWAT", "WTF", "XXX",
+  "BOBO", "BURAT", "GAGO", "KANTOT", "PEKPEK", "PUKI", "PUTA", "TANGA", "TITE", "ULOL",
+  ...(process.env.ROOM_CODE_BLOCKLIST || "")
+    .split(",")
+    .map((w) => w.toUpperCase().replace(/[^A-Z]/g, ""))
+    .filter(Boolean),
+];
+
+const recentCodes = new Map(); // code -> endedAt (ms)
+
+function clampCodeLength(n) {
+  const len = Math.floor(Number(n));
+  if (!Number.isFinite(len) || len <= 0) return DEFAULT_CODE_LEN;
+  return Math.min(MAX_CODE_LEN, Math.max(MIN_CODE_LEN, len));
+}
+
+function isBlocked(code) {
+  for (const word of BLOCKLIST) {
+    if (code.includes(word)) return true;
+  }
+  return false;
+}
+
+function pruneRecentCodes(now) {
+  for (const [code, endedAt] of recentCodes.entries()) {
+    if (now - endedAt >= RECENT_CODE_TTL_MS) recentCodes.delete(code);
+  }
+}
+
+function randomCode(length) {
+  let out = "";
+  for (let i = 0; i < length; i++) {
+    out += LETTERS[Math.floor(Math.random() * LETTERS.length)];
+  }
+  return out;
+}
+
+// Called when a session is torn down so its code rests for a while
+function rememberRecentCode(code) {
+  if (!code) return;
+  recentCodes.set(code, Date.now());
+}
+
+// isLive(code) -> true if a session currently owns that code
+// Returns the code, or null if nothing free was found.
+function generateRoomCode({ length, isLive } = {}) {
+  const len = clampCodeLength(length);
+  const now = Date.now();
+  pruneRecentCodes(now);
+
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    const code = randomCode(len);
+    if (isBlocked(code)) continue;
+    if (recentCodes.has(code)) continue;
+    if (typeof isLive === "function" && isLive(code)) continue;
+    return code;
+  }
+  return null;
+}
+
+module.exports = {
+  MIN_CODE_LEN,
+  MAX_CODE_LEN,
+  clampCodeLength,
+  generateRoomCode,
+  rememberRecentCode,
+};
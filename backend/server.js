@@ -5,13 +5,27 @@ const http = require("http");
 const WebSocket = require("ws");
 const { v4: uuidv4 } = require("uuid");
 const path = require("path");
+const crypto = require("crypto");
 
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*", // you can later lock this to your prod domain
-  "Access-Control-Allow-Methods": "GET,OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Admin-Token",
 };
 
+// Admin REST API token (Authorization: Bearer <token> or X-Admin-Token).
+// Unset -> /admin/* is disabled.
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || "").trim();
+
+// Optional bearer token for /metrics (unset -> open, for an internal scraper)
+const METRICS_TOKEN = (process.env.METRICS_TOKEN || "").trim();
+
+// Read-only "spectator" sockets per session (lobby displays, overlays); not counted as players
+const MAX_SPECTATORS_PER_SESSION = Math.max(
+  0,
+  parseInt(process.env.MAX_SPECTATORS_PER_SESSION || "20", 10) || 0
+);
+
 // --- helpers ---
 function lettersOnly(str) {
   return (str || "")
@@ -39,6 +53,17 @@ function broadcastToPlayers(session, msgObj) {
   }
 }
 
+function broadcastToSpectators(session, msgObj) {
+  const asStr = JSON.stringify(msgObj);
+  for (const s of Object.values(session.spectators || {})) {
+    try {
+      if (s.ws && s.ws.readyState === WebSocket.OPEN) {
+        s.ws.send(asStr);
+      }
+    } catch (_) {}
+  }
+}
+
 function nowMs() {
   return Date.now();
 }
@@ -51,6 +76,29 @@ function jsonResponse(res, bodyObj, code = 200) {
   res.end(JSON.stringify(bodyObj));
 }
 
+function isUnityConnected(session) {
+  return !!(
+    session?.unity &&
+    session.unity.ws &&
+    session.unity.ws.readyState === WebSocket.OPEN
+  );
+}
+
+function hasToken(req, expected, headerName) {
+  if (!expected) return false;
+  const auth = (req.headers["authorization"] || "").toString();
+  const bearer = auth.toLowerCase().startsWith("bearer ") ? auth.slice(7).trim() : "";
+  const given = bearer || (headerName ? (req.headers[headerName] || "").toString().trim() : "");
+
+  const a = Buffer.from(given, "utf-8");
+  const b = Buffer.from(expected, "utf-8");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function isAdminRequest(req) {
+  return hasToken(req, ADMIN_TOKEN, "x-admin-token");
+}
+
 function getFacechinkoSession(code) {
   const cleanCode = lettersOnly(code || "");
   const session = sessions.get(cleanCode);
@@ -68,6 +116,244 @@ const adapters = {
   facechinko: require(path.join(__dirname, "games", "facechinko.js")),
 };
 
+// session journal (survives restarts; see sessionStore.js)
+const sessionStore = require(path.join(__dirname, "sessionStore.js"));
+
+// Unity host credentials (see hostAuth.js)
+const hostAuth = require(path.join(__dirname, "hostAuth.js"));
+
+// server-side room code generation (see roomCodes.js)
+const roomCodes = require(path.join(__dirname, "roomCodes.js"));
+
+// /metrics counters (see metrics.js)
+const metrics = require(path.join(__dirname, "metrics.js"));
+
+// inbound message schemas (see protocol.js)
+const protocol = require(path.join(__dirname, "protocol.js"));
+
+// retry queue for game records a sink failed to store (see recordOutbox.js)
+const recordOutbox = require(path.join(__dirname, "recordOutbox.js"));
+
+// Adapter changes driven by their own timers (server sim rounds, match-over fallback):
+// no inbound message follows them, so journal + clean up from here
+const adapterCtx = {
+  onStateChanged(session) {
+    if (sessions.get(session?.code) !== session) return;
+    sessionStore.markDirty(session);
+  },
+  onGameOver(session) {
+    if (sessions.get(session?.code) !== session) return;
+    sessionStore.markDirty(session);
+    maybeScheduleCleanup(session);
+  },
+};
+for (const adapter of Object.values(adapters)) {
+  if (typeof adapter.attachServer === "function") adapter.attachServer(adapterCtx);
+}
+
+// --- admin helpers ---
+function summarizeSession(session) {
+  return {
+    code: session.code,
+    gameType: session.gameType,
+    location: session.location ?? null,
+    phase: session.phase,
+    createdAt: session.createdAt ? new Date(session.createdAt).toISOString() : null,
+    players: {
+      connected: Object.keys(session.players || {}).length,
+      known: Object.keys(session.resumables || {}).length, // incl. disconnected (resumable)
+      allowed: session.allowedNumberOfPlayers ?? null,
+    },
+    spectators: Object.keys(session.spectators || {}).length,
+    unity: {
+      connected: isUnityConnected(session),
+      disconnectedAt: session.unityDisconnectedAt
+        ? new Date(session.unityDisconnectedAt).toISOString()
+        : null,
+    },
+  };
+}
+
+// Admin REST API:
+//   GET  /admin/sessions                         -> list
+//   GET  /admin/sessions/:code                   -> summary + adapter snapshot
+//   POST /admin/sessions/:code/end?reason=...    -> adapter onForcedEnd, then endSession
+//   POST /admin/sessions/:code/kick?username=... -> remove one player (no resume)
+function handleAdminRequest(req, res, url) {
+  if (!ADMIN_TOKEN) return jsonResponse(res, { ok: false, reason: "admin_disabled" }, 403);
+  if (!isAdminRequest(req)) return jsonResponse(res, { ok: false, reason: "unauthorized" }, 401);
+
+  const parts = url.pathname.split("/").filter(Boolean); // ["admin", "sessions", code?, action?]
+
+  // Record outbox: GET /admin/outbox, POST /admin/outbox/retry
+  if (parts[1] === "outbox" && parts.length <= 3) {
+    const action = parts[2] || "";
+    if (!action && req.method === "GET") {
+      const pending = recordOutbox.listPending();
+      return jsonResponse(res, { ok: true, count: pending.length, pending });
+    }
+    if (action === "retry" && req.method === "POST") {
+      recordOutbox
+        .retryNow()
+        .then((left) => {
+          jsonResponse(res, { ok: true, pending: left });
+        })
+        .catch((e) => {
+          console.error("[admin] outbox retry failed:", e?.message || e);
+          jsonResponse(res, { ok: false, reason: "internal_error" }, 500);
+        });
+      return;
+    }
+    if (!action || action === "retry") {
+      return jsonResponse(res, { ok: false, reason: "method_not_allowed" }, 405);
+    }
+    return jsonResponse(res, { ok: false, reason: "not_found" }, 404);
+  }
+
+  if (parts[1] !== "sessions" || parts.length > 4) {
+    return jsonResponse(res, { ok: false, reason: "not_found" }, 404);
+  }
+
+  if (parts.length === 2) {
+    if (req.method !== "GET") {
+      return jsonResponse(res, { ok: false, reason: "method_not_allowed" }, 405);
+    }
+    const list = [...sessions.values()].map(summarizeSession);
+    return jsonResponse(res, { ok: true, count: list.length, sessions: list });
+  }
+
+  const session = sessions.get(lettersOnly(parts[2]));
+  if (!session) return jsonResponse(res, { ok: false, reason: "code_not_found" }, 404);
+
+  const action = parts[3] || "";
+
+  if (!action) {
+    if (req.method !== "GET") {
+      return jsonResponse(res, { ok: false, reason: "method_not_allowed" }, 405);
+    }
+    let snapshot = null;
+    try {
+      snapshot = adapters[session.gameType]?.snapshot(session) ?? null;
+    } catch (_) {}
+    return jsonResponse(res, { ok: true, session: summarizeSession(session), snapshot });
+  }
+
+  if (req.method !== "POST") {
+    return jsonResponse(res, { ok: false, reason: "method_not_allowed" }, 405);
+  }
+
+  if (action === "end") {
+    const reason = (url.searchParams.get("reason") || "").trim() || "admin_forced_end";
+    console.log(`[session ${session.code}] ADMIN force-end (reason=${reason})`);
+    forceEndSession(session, reason)
+      .then(() => {
+        jsonResponse(res, { ok: true, code: session.code, reason });
+      })
+      .catch((e) => {
+        console.error(`[session ${session.code}] ADMIN force-end failed:`, e?.message || e);
+        jsonResponse(res, { ok: false, reason: "internal_error" }, 500);
+      });
+    return;
+  }
+
+  if (action === "kick") {
+    const username = (url.searchParams.get("username") || "").trim();
+    if (!username) return jsonResponse(res, { ok: false, reason: "missing_username" }, 400);
+
+    const kicked = kickPlayer(session, username, "admin_kick");
+    if (!kicked) return jsonResponse(res, { ok: false, reason: "player_not_found" }, 404);
+
+    console.log(`[session ${session.code}] ADMIN kicked ${username}`);
+    return jsonResponse(res, { ok: true, code: session.code, username });
+  }
+
+  return jsonResponse(res, { ok: false, reason: "not_found" }, 404);
+}
+
+// Gauges computed at scrape time (+ whatever adapters report)
+function collectMetricSamples() {
+  const samples = [];
+
+  const sessionsByKey = new Map(); // "gameType|phase" -> count
+  let playersConnected = 0;
+  let spectatorsConnected = 0;
+  let unityConnected = 0;
+  let unityGraceTimers = 0;
+  // adapter per-session samples, summed per gameType (room codes are reused: not a label), unless
+  // marked perSession: those carry the code and only exist while the session is live
+  const sessionSamples = new Map(); // "name|labels" -> sample
+
+  for (const session of sessions.values()) {
+    const key = `${session.gameType}|${session.phase}`;
+    sessionsByKey.set(key, (sessionsByKey.get(key) || 0) + 1);
+
+    playersConnected += Object.values(session.players || {}).filter(
+      (p) => p.ws && p.ws.readyState === WebSocket.OPEN
+    ).length;
+    spectatorsConnected += Object.keys(session.spectators || {}).length;
+    if (isUnityConnected(session)) unityConnected += 1;
+    if (session.unityTimeoutHandle) unityGraceTimers += 1;
+
+    const adapter = adapters[session.gameType];
+    if (adapter && typeof adapter.sessionMetrics === "function") {
+      try {
+        for (const { perSession, ...s } of adapter.sessionMetrics(session) || []) {
+          if (perSession) {
+            samples.push({ ...s, labels: { gameType: session.gameType, code: session.code, ...(s.labels || {}) } });
+            continue;
+          }
+          const labels = { gameType: session.gameType, ...(s.labels || {}) };
+          const key = `${s.name}|${JSON.stringify(labels)}`;
+          const prev = sessionSamples.get(key);
+          if (prev) prev.value += Number(s.value) || 0;
+          else sessionSamples.set(key, { ...s, labels, value: Number(s.value) || 0 });
+        }
+      } catch (_) {}
+    }
+  }
+
+  samples.push(...sessionSamples.values());
+
+  for (const [key, count] of sessionsByKey.entries()) {
+    const [gameType, phase] = key.split("|");
+    samples.push({
+      name: "sessions",
+      help: "Live sessions by gameType and phase",
+      labels: { gameType, phase },
+      value: count,
+    });
+  }
+
+  samples.push({ name: "players_connected", help: "Connected player sockets", value: playersConnected });
+  samples.push({
+    name: "spectators_connected",
+    help: "Connected read-only spectator sockets",
+    value: spectatorsConnected,
+  });
+  samples.push({ name: "unity_hosts_connected", help: "Connected Unity host sockets", value: unityConnected });
+  samples.push({
+    name: "unity_disconnect_grace_timers",
+    help: "Unity disconnect grace timers in flight",
+    value: unityGraceTimers,
+  });
+  samples.push({
+    name: "record_outbox_pending",
+    help: "Game records waiting in the outbox for a retry",
+    value: recordOutbox.pendingCount(),
+  });
+
+  for (const [gameType, adapter] of Object.entries(adapters)) {
+    if (!adapter || typeof adapter.adapterMetrics !== "function") continue;
+    try {
+      for (const s of adapter.adapterMetrics() || []) {
+        samples.push({ ...s, labels: { gameType, ...(s.labels || {}) } });
+      }
+    } catch (_) {}
+  }
+
+  return samples;
+}
+
 // create server
 const server = http.createServer((req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
@@ -200,6 +486,23 @@ const server = http.createServer((req, res) => {
     });
   }
 
+  // --- Prometheus scrape endpoint ---
+  if (path === "/metrics" && req.method === "GET") {
+    if (METRICS_TOKEN && !hasToken(req, METRICS_TOKEN)) {
+      return jsonResponse(res, { ok: false, reason: "unauthorized" }, 401);
+    }
+    res.writeHead(200, {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      ...CORS_HEADERS,
+    });
+    return res.end(metrics.renderMetrics(collectMetricSamples()));
+  }
+
+  // --- Admin API (floor staff; token-protected) ---
+  if (path === "/admin" || path.startsWith("/admin/")) {
+    return handleAdminRequest(req, res, url);
+  }
+
   // --- Default response for other paths ---
   res.writeHead(200, {
     "Content-Type": "text/plain; charset=utf-8",
@@ -218,9 +521,11 @@ const END_GRACE_MS = 300_000;
 const UNITY_DISCONNECT_GRACE_MS = 120_000;
 
 // kill a session (called when Unity disconnects *after* grace or after game-end cleanup)
-function endSession(session) {
+function endSession(session, reason = "unspecified") {
   if (!session) return;
 
+  metrics.recordEndSession(reason);
+
   // NEW: TruckOfWar-only hook before teardown (best-effort)
   try {
     const adapter = adapters[session.gameType];
@@ -234,14 +539,19 @@ function endSession(session) {
   } catch (_) {}
   // NEW: end TruckOfWar-only hook
 
-  // Clear any pending Unity timeout handle
+  // Clear any pending Unity timeout / post-result cleanup handle
   if (session.unityTimeoutHandle) {
     clearTimeout(session.unityTimeoutHandle);
     session.unityTimeoutHandle = null;
   }
+  if (session.cleanupHandle) {
+    clearTimeout(session.cleanupHandle);
+    session.cleanupHandle = null;
+  }
 
   // Notify players that it's over
   broadcastToPlayers(session, { type: "ended" });
+  broadcastToSpectators(session, { type: "ended", reason });
 
   // Close all player sockets
   for (const [pid, p] of Object.entries(session.players)) {
@@ -250,6 +560,13 @@ function endSession(session) {
     } catch (_) {}
   }
 
+  // Close spectator sockets
+  for (const s of Object.values(session.spectators || {})) {
+    try {
+      s.ws.close();
+    } catch (_) {}
+  }
+
   // Close unity socket
   try {
     if (session.unity?.ws) {
@@ -258,26 +575,73 @@ function endSession(session) {
   } catch (_) {}
 
   sessions.delete(session.code);
+  sessionStore.forgetSession(session.code);
+  roomCodes.rememberRecentCode(session.code);
 }
 
 // Attempt deferred cleanup after a game ends
 function maybeScheduleCleanup(session) {
   if (!session) return;
   session.lastResultAt = nowMs();
-  setTimeout(() => {
+  // One pending cleanup per session: a later result restarts the grace period
+  if (session.cleanupHandle) clearTimeout(session.cleanupHandle);
+  session.cleanupHandle = setTimeout(() => {
+    session.cleanupHandle = null;
     // If session still exists and is in "ended" for a while, nuke it
+    // (not a newer session that reused the code in the meantime)
     const still = sessions.get(session.code);
-    if (!still) return;
+    if (still !== session) return;
     // If unity is already gone OR ended long enough, end it
     const delta = nowMs() - (still.lastResultAt || 0);
     const unityGone =
       !still.unity || !still.unity.ws || still.unity.ws.readyState !== WebSocket.OPEN;
     if (unityGone || delta >= END_GRACE_MS) {
-      endSession(still);
+      endSession(still, "cleanup_after_end");
     }
   }, END_GRACE_MS + 1000);
 }
 
+// End a session early (Unity grace timeout, admin force-end).
+// Adapters with onForcedEnd compute a winner + send gameResult before teardown.
+function forceEndSession(session, reason) {
+  if (!session) return Promise.resolve();
+
+  // NEW: TruckOfWar-only forced-end hook.
+  try {
+    const adapter = adapters[session.gameType];
+    if (
+      (session.gameType === "truckofwar" || session.gameType === "facechinko") &&
+      adapter &&
+      typeof adapter.onForcedEnd === "function"
+    ) {
+      return Promise.resolve(adapter.onForcedEnd(session, { reason }))
+        .catch(() => {})
+        .finally(() => {
+          endSession(session, reason);
+        });
+    }
+  } catch (_) {}
+  // NEW: end TruckOfWar-only forced-end hook
+
+  if (session.phase !== "ended") {
+    broadcastToPlayers(session, { type: "ended", reason });
+  }
+
+  endSession(session, reason);
+  return Promise.resolve();
+}
+
+// True while the adapter drives the game itself (e.g. Truck Of War server simulation),
+// so a missing Unity host is not a reason to pause or end the session.
+function runsWithoutHost(session) {
+  try {
+    const adapter = adapters[session?.gameType];
+    return !!(adapter && typeof adapter.runsWithoutHost === "function" && adapter.runsWithoutHost(session));
+  } catch (_) {
+    return false;
+  }
+}
+
 // Schedule a timeout when UNITY disconnects mid-game.
 // If Unity doesn't reconnect within the grace window, end the session.
 function scheduleUnityTimeout(session) {
@@ -300,36 +664,15 @@ function scheduleUnityTimeout(session) {
       return;
     }
 
-    // NEW: TruckOfWar-only forced-end hook.
-    // Let adapter compute winner + send gameResult before teardown.
-    try {
-      const adapter = adapters[current.gameType];
-      if (
-        (current.gameType === "truckofwar" || current.gameType === "facechinko") &&
-        adapter &&
-        typeof adapter.onForcedEnd === "function"
-      ) {
-        Promise.resolve(
-          adapter.onForcedEnd(current, { reason: "unity_disconnected_timeout" })
-        )
-          .catch(() => {})
-          .finally(() => {
-            endSession(current);
-          });
-        return;
-      }
-    } catch (_) {}
-    // NEW: end TruckOfWar-only forced-end hook
-
-    // Unity still gone after grace → end session
-    if (current.phase !== "ended") {
-      broadcastToPlayers(current, {
-        type: "ended",
-        reason: "unity_disconnected_timeout",
-      });
+    // Game still running server-side → keep waiting for the host (re-arm)
+    if (current.phase !== "ended" && runsWithoutHost(current)) {
+      current.unityTimeoutHandle = null;
+      scheduleUnityTimeout(current);
+      return;
     }
 
-    endSession(current);
+    // Unity still gone after grace → end session (adapter finalizes first)
+    forceEndSession(current, "unity_disconnected_timeout");
   }, UNITY_DISCONNECT_GRACE_MS);
 }
 
@@ -343,6 +686,43 @@ function findPlayerByUsername(session, unameLower) {
   return null;
 }
 
+// Remove a player (connected or not) and revoke their resume tokens
+function kickPlayer(session, username, reason) {
+  const unameLower = (username || "").trim().toLowerCase();
+  if (!unameLower) return false;
+
+  let kicked = false;
+
+  const found = findPlayerByUsername(session, unameLower);
+  if (found) {
+    safeSend(found.player.ws, { type: "kicked", reason });
+    try {
+      adapters[session.gameType]?.onPlayerLeave(session, found.clientId);
+    } catch (_) {}
+    // delete first so the socket's close handler doesn't re-save a resumable
+    delete session.players[found.clientId];
+    try {
+      found.player.ws?.close();
+    } catch (_) {}
+    kicked = true;
+  }
+
+  for (const [token, entry] of Object.entries(session.resumables || {})) {
+    if ((entry?.username || "").toLowerCase() === unameLower) {
+      delete session.resumables[token];
+      kicked = true;
+    }
+  }
+
+  if (kicked) {
+    try {
+      adapters[session.gameType]?.onPlayerKicked?.(session, username, reason);
+    } catch (_) {}
+    sessionStore.markDirty(session);
+  }
+  return kicked;
+}
+
 // -------------- WebSocket connection handling --------------
 wss.on("connection", (ws) => {
   ws.isAlive = true;
@@ -350,15 +730,99 @@ wss.on("connection", (ws) => {
     ws.isAlive = true;
   });
 
-  ws.role = null; // "unity" or "player"
+  ws.role = null; // "unity" | "player" | "spectator"
   ws.sessionCode = null;
   ws.clientId = null;
+  ws.protocolInfo = null; // { version, features } negotiated on first message (see protocol.js)
 
   ws.on("message", async (raw) => {
     let msg;
     try {
       msg = JSON.parse(raw.toString());
     } catch (_) {
+      metrics.recordMessage("invalid_json");
+      return;
+    }
+    metrics.recordMessage(msg?.type);
+
+    // Reject malformed messages up front (structured error with field path)
+    const check = protocol.validateMessage(msg);
+    if (!check.ok) {
+      safeSend(ws, protocol.errorReply(msg, check));
+      return;
+    }
+
+    // First message on this socket decides the protocol version (see protocol.js)
+    if (!ws.protocolInfo) {
+      const negotiated = protocol.negotiate(msg);
+      if (negotiated.declared) safeSend(ws, protocol.protocolReply(negotiated));
+      if (!negotiated.ok) {
+        try {
+          ws.close();
+        } catch (_) {}
+        return;
+      }
+      protocol.attachProtocol(ws, negotiated);
+    }
+
+    // Standalone negotiation (nothing else to route)
+    if (msg.type === "hello") return;
+
+    // Spectator sockets stay read-only: no joins, taps or host messages
+    if (ws.role === "spectator" && msg.type !== "ping") {
+      safeSend(ws, {
+        type: "error",
+        ok: false,
+        source: msg.type,
+        reason: "read_only",
+      });
+      return;
+    }
+
+    // SPECTATOR subscribes to a session (snapshot now, adapter streams the rest)
+    if (msg.type === "spectate") {
+      const session = sessions.get(lettersOnly(msg.code || ""));
+      if (!session) {
+        safeSend(ws, { type: "spectateResult", ok: false, reason: "code_not_found" });
+        return;
+      }
+      if (ws.role) {
+        safeSend(ws, { type: "spectateResult", ok: false, reason: "already_joined" });
+        return;
+      }
+
+      const adapter = adapters[session.gameType];
+      if (!adapter || typeof adapter.onSpectatorJoin !== "function") {
+        safeSend(ws, { type: "spectateResult", ok: false, reason: "not_supported" });
+        return;
+      }
+
+      if (!session.spectators) session.spectators = {};
+      if (Object.keys(session.spectators).length >= MAX_SPECTATORS_PER_SESSION) {
+        safeSend(ws, { type: "spectateResult", ok: false, reason: "spectators_full" });
+        return;
+      }
+
+      const clientId = uuidv4();
+      ws.role = "spectator";
+      ws.sessionCode = session.code;
+      ws.clientId = clientId;
+      session.spectators[clientId] = { ws, joinedAt: nowMs() };
+
+      safeSend(ws, {
+        type: "spectateResult",
+        ok: true,
+        code: session.code,
+        gameType: session.gameType,
+        phase: session.phase,
+        unityConnected: isUnityConnected(session),
+        snapshot: adapter.snapshot(session),
+      });
+
+      // Catch-up the snapshot doesn't carry (e.g. final leaderboard after the match)
+      try {
+        adapter.onSpectatorJoin(session, ws);
+      } catch (_) {}
       return;
     }
 
@@ -371,35 +835,72 @@ wss.on("connection", (ws) => {
         teamCount,
         allowedNumberOfPlayers,
         requestedCode,
+        // used only when requestedCode is omitted (server generates the code)
+        roomCodeLength,
         voucherPool, // may be undefined / omitted now, that's fine
         teamA_name,
         teamB_name,
+        // Optional team colours ("#RRGGBB"; adapter drops anything else)
+        teamA_color,
+        teamB_color,
         teamA_playerSeat,
         teamB_playerSeat,
         // optional team assignment mode from control.json
         teamAssignmentMode: _teamAssignmentModeIncoming,
+        // playerChoice: max players per team (adapter defaults to half the cap)
+        teamCapacity,
         // NEW: tier config from control.json
         winTopUnderStart,
         winTopUnderMax,
+        // Voucher allocation rules (adapter-specific; tiers above are the fallback)
+        prizeRules,
         // Optional S3 bucket override for Truck Of War record export
         s3Bucket,
+        // Record sinks for the final game JSON ("fs" | "webhook" | "s3"; default RECORD_SINKS)
+        recordSinks,
+        // Host credentials: location secret (create) or session token (reattach)
+        hostKey,
+        hostToken,
+        simulation,
+        // Match config from control.json (adapter validates + clamps)
+        bestOf,
+        totalRounds,
+        roundDurationSeconds,
+        bufferSeconds,
+        roundEndDisplaySeconds,
+        // Level match handling: "allow" | "taps" | "suddenDeath" (adapter default TOW_TIE_POLICY)
+        tiePolicy,
+        // Phone input mechanics ("tap" | "hold" | "swipe" | "rhythm") + conversion tuning
+        inputModes,
+        inputTuning,
       } = msg;
 
       // sanitize/validate teamAssignmentMode, default to "roundRobin"
       let teamAssignmentMode = (_teamAssignmentModeIncoming || "roundRobin")
         .toString()
         .trim();
-      const VALID_TEAM_MODES = new Set(["roundRobin", "seatPinned"]);
+      const VALID_TEAM_MODES = new Set(["roundRobin", "leastFilled", "seatPinned", "playerChoice"]);
       if (!VALID_TEAM_MODES.has(teamAssignmentMode)) {
         teamAssignmentMode = "roundRobin";
       }
 
-      const codeCandidate = lettersOnly(requestedCode);
+      // No requestedCode -> server picks a free, non-offensive code
+      const wantsGeneratedCode =
+        requestedCode === undefined ||
+        requestedCode === null ||
+        String(requestedCode).trim() === "";
+
+      const codeCandidate = wantsGeneratedCode
+        ? roomCodes.generateRoomCode({
+            length: roomCodeLength,
+            isLive: (c) => sessions.has(c),
+          })
+        : lettersOnly(requestedCode);
       if (!codeCandidate) {
         safeSend(ws, {
           type: "unityCreated",
           ok: false,
-          reason: "invalid_code",
+          reason: wantsGeneratedCode ? "code_unavailable" : "invalid_code",
         });
         return;
       }
@@ -407,6 +908,20 @@ wss.on("connection", (ws) => {
       // If a session with this code already exists, attempt UNITY reattach
       const existing = sessions.get(codeCandidate);
       if (existing) {
+        // Only the credentialed host for this location may take the room back
+        if (
+          !hostAuth.verifyHostKey(existing.location, hostKey) &&
+          !hostAuth.verifyHostToken(existing, hostToken)
+        ) {
+          console.warn(`[session ${existing.code}] unityCreate reattach rejected: unauthorized`);
+          safeSend(ws, {
+            type: "unityCreated",
+            ok: false,
+            reason: "unauthorized",
+          });
+          return;
+        }
+
         const existingUnityOpen =
           existing.unity &&
           existing.unity.ws &&
@@ -443,6 +958,10 @@ wss.on("connection", (ws) => {
           existing.unityTimeoutHandle = null;
         }
         existing.unityDisconnectedAt = null;
+        // New token for the new host connection; tokens handed out before are void
+        existing.hostNonce = hostAuth.newHostNonce();
+
+        sessionStore.markDirty(existing);
 
         console.log(`[session ${existing.code}] UNITY reconnected`);
         safeSend(ws, {
@@ -451,6 +970,17 @@ wss.on("connection", (ws) => {
           code: existing.code,
           snapshot: adapters[existing.gameType].snapshot(existing),
           reattached: true,
+          hostToken: hostAuth.signHostToken(existing),
+        });
+        return;
+      }
+
+      if (!hostAuth.verifyHostKey(location, hostKey)) {
+        console.warn(`[unityCreate] rejected for location=${location}: unauthorized`);
+        safeSend(ws, {
+          type: "unityCreated",
+          ok: false,
+          reason: "unauthorized",
         });
         return;
       }
@@ -473,11 +1003,13 @@ wss.on("connection", (ws) => {
         teamCount,
         allowedNumberOfPlayers,
         voucherPool: Array.isArray(voucherPool) ? [...voucherPool] : [],
-        teamA_name: teamA_name || "TEAM A",
-        teamB_name: teamB_name || "TEAM B",
+        teamA_name: (teamA_name || "").toString().trim() || "Team A",
+        teamB_name: (teamB_name || "").toString().trim() || "Team B",
+        teamA_color: teamA_color || null,
+        teamB_color: teamB_color || null,
         teamA_playerSeat: Array.isArray(teamA_playerSeat) ? [...teamA_playerSeat] : [],
         teamB_playerSeat: Array.isArray(teamB_playerSeat) ? [...teamB_playerSeat] : [],
-        teamAssignmentMode, // "roundRobin" | "seatPinned"
+        teamAssignmentMode, // "roundRobin" | "leastFilled" | "seatPinned" | "playerChoice"
 
         // store tier range config (as raw values; adapter will parse)
         winTopUnderStart: winTopUnderStart,
@@ -485,8 +1017,11 @@ wss.on("connection", (ws) => {
         s3Bucket: (s3Bucket || "").toString().trim(),
 
         phase: "join", // "join" | "active" | "ended"
+        createdAt: nowMs(),
+        hostNonce: hostAuth.newHostNonce(), // binds hostToken to this session (see hostAuth.js)
         unity: { ws },
         players: {}, // clientId -> { ws, username, fullName, seat, teamIndex, resumeToken }
+        spectators: {}, // clientId -> { ws, joinedAt } (read-only, not in the player cap)
         state: null, // adapter-managed
         lastResultAt: null,
 
@@ -496,6 +1031,7 @@ wss.on("connection", (ws) => {
         // Unity disconnect tracking
         unityDisconnectedAt: null,
         unityTimeoutHandle: null,
+        cleanupHandle: null,
       };
 
       // Let adapter init its state (pass all relevant config)
@@ -506,16 +1042,33 @@ wss.on("connection", (ws) => {
         voucherPool: session.voucherPool,
         teamA_name: session.teamA_name,
         teamB_name: session.teamB_name,
+        teamA_color: session.teamA_color,
+        teamB_color: session.teamB_color,
         teamA_playerSeat: session.teamA_playerSeat,
         teamB_playerSeat: session.teamB_playerSeat,
         teamAssignmentMode: session.teamAssignmentMode,
+        teamCapacity,
         // pass win-tier configuration to adapter
         winTopUnderStart: session.winTopUnderStart,
         winTopUnderMax: session.winTopUnderMax,
+        prizeRules,
         s3Bucket: session.s3Bucket,
+        recordSinks,
+        // optional server-authoritative simulation (adapter-specific)
+        simulation,
+        // match config (best-of + round timings)
+        bestOf: bestOf ?? totalRounds,
+        roundDurationSeconds,
+        bufferSeconds,
+        roundEndDisplaySeconds,
+        tiePolicy,
+        // allowed input modes (adapter converts each into taps)
+        inputModes,
+        inputTuning,
       });
 
       sessions.set(session.code, session);
+      sessionStore.markDirty(session);
 
       ws.role = "unity";
       ws.sessionCode = session.code;
@@ -530,6 +1083,7 @@ wss.on("connection", (ws) => {
         ok: true,
         code: session.code,
         snapshot: adapter.snapshot(session),
+        hostToken: hostAuth.signHostToken(session),
       });
       return;
     }
@@ -632,21 +1186,21 @@ wss.on("connection", (ws) => {
         uid: session.gameType === "facechinko" ? session.players[clientId].facechinkoUid || null : null,
       };
 
-      // Tell the client they joined successfully (+ give resume token)
-      safeSend(ws, { type: "joinResult", ok: true, teamIndex, resumeToken });
+      sessionStore.markDirty(session);
 
-      // Finally, push full snapshot to this player so they have context
-      safeSend(ws, {
-        type: "state",
-        snapshot: adapters[session.gameType].snapshot(session),
-      });
+      // Tell the client they joined successfully (+ give resume token + snapshot)
+      const snapshot = adapters[session.gameType].snapshot(session);
+      safeSend(ws, { type: "joinResult", ok: true, teamIndex, resumeToken, snapshot });
+
+      // Legacy (v1) clients also expect a separate state push
+      if (ws.protocolInfo.version < 2) safeSend(ws, { type: "state", snapshot });
 
       return;
     }
 
     // NEW: Truck Of War late-join (allowed during "join" OR "active"; blocked only when "ended")
     if (msg.type === "playerJoinTow") {
-      const { code, username, fullName, seat } = msg;
+      const { code, username, fullName, seat, teamIndex: requestedTeamIndex } = msg;
       const cleanCode = lettersOnly(code || "");
       const uname = (username || "").trim();
       const full = (fullName || "").trim();
@@ -722,7 +1276,19 @@ wss.on("connection", (ws) => {
         resumeToken,
       };
 
-      adapters[session.gameType].onPlayerJoin(session, clientId, seatId);
+      const placed = adapters[session.gameType].onPlayerJoin(session, clientId, seatId, {
+        requestedTeamIndex,
+      });
+
+      // Adapter couldn't place the player (e.g. playerChoice team at capacity)
+      if (placed && placed.ok === false) {
+        delete session.players[clientId];
+        ws.role = null;
+        ws.sessionCode = null;
+        ws.clientId = null;
+        safeSend(ws, { type: "joinResult", ok: false, reason: placed.reason || "join_rejected" });
+        return;
+      }
 
       const teamIndex = session.players[clientId].teamIndex;
       session.resumables[resumeToken] = {
@@ -731,19 +1297,19 @@ wss.on("connection", (ws) => {
         seat: seatId || null,
         teamIndex: teamIndex,
       };
+      sessionStore.markDirty(session);
 
+      const snapshot = adapters[session.gameType].snapshot(session);
       safeSend(ws, {
         type: "joinResult",
         ok: true,
         teamIndex,
         resumeToken,
         phase: session.phase,
+        snapshot,
       });
 
-      safeSend(ws, {
-        type: "state",
-        snapshot: adapters[session.gameType].snapshot(session),
-      });
+      if (ws.protocolInfo.version < 2) safeSend(ws, { type: "state", snapshot });
 
       return;
     }
@@ -825,7 +1391,10 @@ wss.on("connection", (ws) => {
         p.teamIndex = entry.teamIndex;
       }
 
-      // Acknowledge to the client
+      sessionStore.markDirty(session);
+
+      // Acknowledge to the client (with fresh snapshot for UI)
+      const snapshot = adapters[session.gameType].snapshot(session);
       safeSend(ws, {
         type: "resumeResult",
         ok: true,
@@ -834,29 +1403,43 @@ wss.on("connection", (ws) => {
         seat: entry.seat || null,
         teamIndex: entry.teamIndex,
         phase: session.phase,
+        snapshot,
       });
 
-      // Give fresh snapshot for UI
-      safeSend(ws, {
-        type: "state",
-        snapshot: adapters[session.gameType].snapshot(session),
-      });
+      if (ws.protocolInfo.version < 2) safeSend(ws, { type: "state", snapshot });
 
       return;
     }
 
     // UNITY -> ADAPTER MESSAGES
     if (msg.type === "unityMsg") {
-      const { code, payload } = msg;
+      const { code, payload, hostToken } = msg;
       const session = sessions.get(lettersOnly(code || ""));
       if (!session) return;
-      if (session.unity?.ws !== ws) return; // ensure it's actually that session's Unity
+
+      // ensure it's actually that session's Unity, holding that session's token
+      if (session.unity?.ws !== ws || !hostAuth.verifyHostToken(session, hostToken)) {
+        safeSend(ws, {
+          type: "error",
+          ok: false,
+          source: "unityMsg",
+          reason: "unauthorized",
+        });
+        return;
+      }
 
       const adapter = adapters[session.gameType];
       if (!adapter) return;
 
+      const payloadCheck = protocol.validatePayload(adapter.unityPayloadSchemas, payload);
+      if (!payloadCheck.ok) {
+        safeSend(ws, protocol.errorReply(msg, payloadCheck));
+        return;
+      }
+
       // "payload" handles things like phase transitions, gameOver, etc.
       adapter.onUnityMsg(session, payload);
+      sessionStore.markDirty(session);
 
       // If adapter marked session.phase = "ended", schedule cleanup
       if (session.phase === "ended") {
@@ -877,7 +1460,14 @@ wss.on("connection", (ws) => {
       const adapter = adapters[session.gameType];
       if (!adapter) return;
 
+      const payloadCheck = protocol.validatePayload(adapter.playerPayloadSchemas, payload);
+      if (!payloadCheck.ok) {
+        safeSend(ws, protocol.errorReply(msg, payloadCheck));
+        return;
+      }
+
       adapter.onPlayerMsg(session, ws.clientId, payload);
+      sessionStore.markDirty(session);
       return;
     }
 
@@ -895,26 +1485,41 @@ wss.on("connection", (ws) => {
       if (!session) return;
 
       session.unity.ws = null;
+      sessionStore.markDirty(session);
 
       // If game already ended, just clean up
       if (session.phase === "ended") {
-        endSession(session);
+        endSession(session, "unity_closed_after_end");
         return;
       }
 
       console.log(`[session ${session.code}] UNITY disconnected, starting grace timeout`);
 
       // Notify players that Unity is temporarily gone, but DON'T end yet
-      broadcastToPlayers(session, {
-        type: "paused",
-        reason: "unity_disconnected",
-      });
+      // (server-simulated games keep playing without the host)
+      if (!runsWithoutHost(session)) {
+        broadcastToPlayers(session, {
+          type: "paused",
+          reason: "unity_disconnected",
+        });
+        broadcastToSpectators(session, {
+          type: "paused",
+          reason: "unity_disconnected",
+        });
+      }
 
       // Give Unity some time to reconnect before ending session
       scheduleUnityTimeout(session);
       return;
     }
 
+    // Spectators just drop off (nothing to resume)
+    if (ws.role === "spectator" && ws.sessionCode && ws.clientId) {
+      const session = sessions.get(ws.sessionCode);
+      if (session?.spectators) delete session.spectators[ws.clientId];
+      return;
+    }
+
     // If player disconnects: make resumable & notify adapter
     if (ws.role === "player" && ws.sessionCode && ws.clientId) {
       const session = sessions.get(ws.sessionCode);
@@ -945,6 +1550,7 @@ wss.on("connection", (ws) => {
 
       // Remove from active players
       delete session.players[clientId];
+      sessionStore.markDirty(session);
     }
   });
 });
@@ -965,6 +1571,58 @@ const interval = setInterval(() => {
   });
 }, 15000);
 
+// Rehydrate sessions from the journal (players/Unity must reconnect)
+function restorePersistedSessions() {
+  const restored = sessionStore.loadSessions();
+  for (const saved of restored) {
+    const adapter = adapters[saved.gameType];
+    if (!adapter || !saved.code) continue;
+
+    const session = {
+      ...saved,
+      unity: { ws: null },
+      players: {},
+      spectators: {},
+      resumables: saved.resumables || {},
+      unityTimeoutHandle: null,
+      cleanupHandle: null,
+    };
+
+    // Let adapter drop connection-scoped bits (rosters of live sockets etc.)
+    try {
+      if (typeof adapter.onRestore === "function") adapter.onRestore(session);
+    } catch (e) {
+      console.warn(`[session ${session.code}] adapter restore failed:`, e?.message || e);
+    }
+
+    sessions.set(session.code, session);
+
+    // Same lifecycle as a Unity disconnect: reattach within grace or the session ends
+    if (session.phase === "ended") {
+      maybeScheduleCleanup(session);
+    } else {
+      scheduleUnityTimeout(session);
+    }
+
+    console.log(
+      `[session ${session.code}] restored from journal (game=${session.gameType} phase=${session.phase})`
+    );
+  }
+}
+
+restorePersistedSessions();
+recordOutbox.start();
+
+// Flush pending journal writes on shutdown (deploys) — sessions are NOT ended
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.on(sig, () => {
+    try {
+      sessionStore.flushNow();
+    } catch (_) {}
+    process.exit(0);
+  });
+}
+
 server.listen(3000, () => {
   console.log("WS server listening on :3000");
 });
@@ -0,0 +1,174 @@
+// sessionStore.js
+// Append-only session journal so a backend restart does not wipe live rooms.
+//
+// Format (one JSON object per line):
+//   { op:"put", code, at, session }   -> latest full copy of a session
+//   { op:"del", code, at }            -> session ended / removed
+//
+// - Sockets + timers are never written (they can't survive a restart anyway).
+//   Unity reattaches through the normal unityCreate reattach path,
+//   phones through playerResume (resumables + adapter state are journaled).
+// - Writes are debounced per session so tap bursts don't hit the disk per message.
+// - On boot the journal is replayed (last write wins) and compacted.
+
+const fs = require("fs");
+const path = require("path");
+
+const STORE_PATH =
+  (process.env.SESSION_STORE_PATH || "").trim() ||
+  path.join(__dirname, "data", "sessions.journal");
+
+const STORE_ENABLED = (process.env.SESSION_STORE_DISABLED || "").trim() !== "1";
+
+// How long a dirty session may sit in memory before it's written
+const FLUSH_DELAY_MS = 250;
+
+// Rewrite the journal once it grows past this many lines
+const COMPACT_AFTER_LINES = 5000;
+
+// Session fields holding live sockets / timer handles (never journaled)
+const TRANSIENT_KEYS = new Set(["unity", "players", "spectators", "unityTimeoutHandle", "cleanupHandle"]);
+
+/* ===========================
+   Internal state
+=========================== */
+
+const dirtyByCode = new Map(); // code -> session (pending write)
+const latestByCode = new Map(); // code -> last serialized session (for compaction)
+let flushTimer = null;
+let linesSinceCompact = 0;
+
+function ensureDir() {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+}
+
+function serializeSession(session) {
+  const out = {};
+  for (const [k, v] of Object.entries(session || {})) {
+    if (TRANSIENT_KEYS.has(k)) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+function appendLines(entries) {
+  if (!entries.length) return;
+  try {
+    ensureDir();
+    fs.appendFileSync(STORE_PATH, entries.map((e) => JSON.stringify(e)).join("\n") + "\n", "utf-8");
+    linesSinceCompact += entries.length;
+  } catch (e) {
+    console.warn("[sessionStore] journal write failed:", e?.message || e);
+  }
+}
+
+function compact() {
+  const tmpPath = `${STORE_PATH}.tmp`;
+  const at = new Date().toISOString();
+  const lines = [];
+  for (const [code, session] of latestByCode.entries()) {
+    lines.push(JSON.stringify({ op: "put", code, at, session }));
+  }
+
+  try {
+    ensureDir();
+    fs.writeFileSync(tmpPath, lines.length ? lines.join("\n") + "\n" : "", "utf-8");
+    fs.renameSync(tmpPath, STORE_PATH);
+    linesSinceCompact = lines.length;
+  } catch (e) {
+    console.warn("[sessionStore] journal compaction failed:", e?.message || e);
+  }
+}
+
+/* ===========================
+   Public API
+=========================== */
+
+// Write every pending session right now (also used on SIGTERM/SIGINT)
+function flushNow() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (!STORE_ENABLED || dirtyByCode.size === 0) return;
+
+  const at = new Date().toISOString();
+  const entries = [];
+  for (const [code, session] of dirtyByCode.entries()) {
+    let data;
+    try {
+      // round-trip so later mutations can't leak into the compaction cache
+      data = JSON.parse(JSON.stringify(serializeSession(session)));
+    } catch (e) {
+      console.warn(`[sessionStore] session ${code} not serializable:`, e?.message || e);
+      continue;
+    }
+    latestByCode.set(code, data);
+    entries.push({ op: "put", code, at, session: data });
+  }
+  dirtyByCode.clear();
+
+  appendLines(entries);
+  if (linesSinceCompact > COMPACT_AFTER_LINES) compact();
+}
+
+// Mark a session as changed; it's written after FLUSH_DELAY_MS
+function markDirty(session) {
+  if (!STORE_ENABLED || !session || !session.code) return;
+  dirtyByCode.set(session.code, session);
+  if (!flushTimer) flushTimer = setTimeout(flushNow, FLUSH_DELAY_MS);
+}
+
+// Record that a session is gone for good
+function forgetSession(code) {
+  if (!STORE_ENABLED || !code) return;
+  dirtyByCode.delete(code);
+  latestByCode.delete(code);
+  appendLines([{ op: "del", code, at: new Date().toISOString() }]);
+}
+
+// Replay the journal; returns plain session objects (no sockets, no timers)
+function loadSessions() {
+  if (!STORE_ENABLED) return [];
+
+  let raw = "";
+  try {
+    raw = fs.readFileSync(STORE_PATH, "utf-8");
+  } catch (e) {
+    if (e?.code !== "ENOENT") {
+      console.warn("[sessionStore] journal read failed:", e?.message || e);
+    }
+    return [];
+  }
+
+  latestByCode.clear();
+  let badLines = 0;
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (_) {
+      // a crash mid-append can leave a torn last line; skip it
+      badLines += 1;
+      continue;
+    }
+    if (!entry || !entry.code) continue;
+    if (entry.op === "put" && entry.session) latestByCode.set(entry.code, entry.session);
+    else if (entry.op === "del") latestByCode.delete(entry.code);
+  }
+
+  if (badLines) console.warn(`[sessionStore] skipped ${badLines} unreadable journal line(s)`);
+
+  compact();
+  return [...latestByCode.values()].map((s) => JSON.parse(JSON.stringify(s)));
+}
+
+module.exports = {
+  STORE_PATH,
+  STORE_ENABLED,
+  markDirty,
+  flushNow,
+  forgetSession,
+  loadSessions,
+};
@@ -0,0 +1,55 @@
+// test/hostAuth.test.js
+// Host key / token checks (node --test test/)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// hostAuth reads its config once, at require time
+process.env.UNITY_HOST_KEYS = JSON.stringify({ CINEMA_A: "s3cret", CINEMA_B: 42, CINEMA_C: { k: 1 } });
+delete process.env.UNITY_HOST_KEY;
+
+const hostAuth = require("../hostAuth");
+
+function session(overrides = {}) {
+  return { code: "ABCD", location: "CINEMA_A", hostNonce: hostAuth.newHostNonce(), ...overrides };
+}
+
+test("host key must match the location's secret", () => {
+  assert.equal(hostAuth.isHostAuthEnabled(), true);
+  assert.equal(hostAuth.verifyHostKey("CINEMA_A", "s3cret"), true);
+  assert.equal(hostAuth.verifyHostKey("CINEMA_A", "wrong"), false);
+  assert.equal(hostAuth.verifyHostKey("CINEMA_A", ""), false);
+  assert.equal(hostAuth.verifyHostKey("NOWHERE", "s3cret"), false);
+});
+
+test("prototype keys are not locations", () => {
+  for (const location of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+    assert.equal(hostAuth.verifyHostKey(location, String(Object.prototype[location])), false);
+    assert.equal(hostAuth.verifyHostKey(location, "function Object() { [native code] }"), false);
+    assert.equal(hostAuth.signHostToken(session({ location })), null);
+  }
+});
+
+test("non-string secrets are ignored", () => {
+  assert.equal(hostAuth.verifyHostKey("CINEMA_B", 42), false);
+  assert.equal(hostAuth.verifyHostKey("CINEMA_B", "42"), false);
+  assert.equal(hostAuth.verifyHostKey("CINEMA_C", "[object Object]"), false);
+});
+
+test("tokens are bound to one session, not just location + code", () => {
+  const a = session();
+  const b = session(); // same location + code, reused later
+  const token = hostAuth.signHostToken(a);
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.equal(hostAuth.verifyHostToken(a, token), true);
+  assert.equal(hostAuth.verifyHostToken(b, token), false);
+  assert.equal(hostAuth.verifyHostToken({ ...a, hostNonce: hostAuth.newHostNonce() }, token), false);
+  assert.equal(hostAuth.verifyHostToken(a, null), false);
+  assert.equal(hostAuth.verifyHostToken(null, token), false);
+});
+
+test("signHostToken never throws", () => {
+  assert.equal(hostAuth.signHostToken(null), null);
+  assert.equal(hostAuth.signHostToken(undefined), null);
+  assert.equal(hostAuth.signHostToken({ location: "CINEMA_A", code: "ABCD", hostNonce: 7 }).length, 64);
+});
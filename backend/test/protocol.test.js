@@ -0,0 +1,113 @@
+// test/protocol.test.js
+// Validator checks (node --test test/)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const protocol = require("../protocol");
+
+// What Initializer.HandleBackendConnected sends with a stock control.json (JSON.NET: unset -> null)
+function defaultUnityCreate(overrides = {}) {
+  return {
+    type: "unityCreate",
+    gameType: "truckofwar",
+    location: "CINEMA_A",
+    teamCount: 2,
+    allowedNumberOfPlayers: 20,
+    requestedCode: "",
+    roomCodeLength: 4,
+    hostKey: "",
+    hostToken: null,
+    simulation: false,
+    teamAssignmentMode: "leastFilled",
+    teamA_playerSeat: [],
+    teamB_playerSeat: [],
+    teamCapacity: 0,
+    recordSinks: [],
+    voucherPool: [],
+    prizeRules: [],
+    winTopUnderStart: 0,
+    winTopUnderMax: 0,
+    teamA_name: "",
+    teamB_name: "",
+    teamA_color: "",
+    teamB_color: "",
+    bestOf: 3,
+    roundDurationSeconds: 230,
+    bufferSeconds: 3,
+    roundEndDisplaySeconds: 3,
+    tiePolicy: "taps",
+    inputModes: ["tap"],
+    inputTuning: { holdTapsPerSecond: 8, rhythmBpm: 120 },
+    protocolVersion: 2,
+    features: ["resume", "roundEvents"],
+    ...overrides,
+  };
+}
+
+test("default Unity unityCreate payload passes", () => {
+  assert.deepEqual(protocol.validateMessage(defaultUnityCreate()), { ok: true });
+});
+
+test("unityCreate teamCapacity: 0 is the default, negatives are rejected", () => {
+  assert.equal(protocol.validateMessage(defaultUnityCreate({ teamCapacity: 0 })).ok, true);
+  const r = protocol.validateMessage(defaultUnityCreate({ teamCapacity: -1 }));
+  assert.equal(r.ok, false);
+  assert.equal(r.path, "teamCapacity");
+});
+
+test("required fields, types and ranges", () => {
+  const missing = protocol.validateMessage({ type: "unityCreate", gameType: "truckofwar" });
+  assert.equal(missing.path, "allowedNumberOfPlayers");
+
+  const wrongType = protocol.validateMessage(defaultUnityCreate({ bestOf: "3" }));
+  assert.equal(wrongType.path, "bestOf");
+
+  const outOfRange = protocol.validateMessage(defaultUnityCreate({ allowedNumberOfPlayers: 0 }));
+  assert.equal(outOfRange.path, "allowedNumberOfPlayers");
+
+  assert.equal(protocol.validateMessage({ type: "spectate" }).path, "code");
+  assert.equal(protocol.validateMessage([]).ok, false);
+  assert.equal(protocol.validateMessage({ type: "somethingNew" }).ok, true);
+});
+
+test("arrays: item specs and maxItems", () => {
+  const tooMany = protocol.validateMessage(defaultUnityCreate({ inputModes: new Array(9).fill("tap") }));
+  assert.equal(tooMany.path, "inputModes");
+  const badItem = protocol.validateMessage(defaultUnityCreate({ teamA_playerSeat: ["F1", 7] }));
+  assert.equal(badItem.path, "teamA_playerSeat[1]");
+});
+
+test("enums are case-insensitive only where the server normalises", () => {
+  for (const tiePolicy of ["suddenDeath", "suddendeath", "SUDDENDEATH", "Taps"]) {
+    assert.equal(protocol.validateMessage(defaultUnityCreate({ tiePolicy })).ok, true, tiePolicy);
+  }
+  assert.equal(protocol.validateMessage(defaultUnityCreate({ recordSinks: ["FS", "S3"] })).ok, true);
+  assert.equal(protocol.validateMessage(defaultUnityCreate({ tiePolicy: "coinFlip" })).path, "tiePolicy");
+  assert.equal(protocol.validateMessage(defaultUnityCreate({ recordSinks: ["ftp"] })).path, "recordSinks[0]");
+  assert.equal(protocol.validateMessage(defaultUnityCreate({ inputModes: ["Hold"] })).ok, true);
+
+  // exact everywhere else: a handler comparing === would otherwise accept and ignore it
+  assert.equal(protocol.validateMessage({ type: "hello", role: "Unity" }).path, "role");
+  const phaseSchemas = { phase: { phase: { type: "string", required: true, enum: ["join", "active", "ended"] } } };
+  assert.equal(protocol.validatePayload(phaseSchemas, { kind: "phase", phase: "Active" }).path, "payload.phase");
+  assert.equal(protocol.validatePayload(phaseSchemas, { kind: "phase", phase: "active" }).ok, true);
+});
+
+test("adapter payloads are checked by kind", () => {
+  const schemas = { tap: { count: { type: "integer", min: 1 } } };
+  assert.deepEqual(protocol.validatePayload(schemas, { kind: "tap", count: 2 }), { ok: true });
+  assert.equal(protocol.validatePayload(schemas, { kind: "TAP", count: 2 }).ok, true);
+  assert.equal(protocol.validatePayload(schemas, { kind: "tap", count: 0 }).path, "payload.count");
+  assert.equal(protocol.validatePayload(schemas, { kind: "warp" }).path, "payload.kind");
+  assert.equal(protocol.validatePayload(schemas, {}).path, "payload.kind");
+  assert.deepEqual(protocol.validatePayload(null, { kind: "anything" }), { ok: true });
+});
+
+test("negotiate picks the highest common version and features", () => {
+  assert.deepEqual(protocol.negotiate({}), { ok: true, declared: false, version: 1, features: [] });
+  const v2 = protocol.negotiate({ protocolVersion: 5, features: ["resume", "nope"] });
+  assert.equal(v2.version, protocol.PROTOCOL_MAX);
+  assert.deepEqual(v2.features, ["resume"]);
+  assert.equal(protocol.negotiate({ protocolVersion: 9, minProtocolVersion: 9 }).ok, false);
+});
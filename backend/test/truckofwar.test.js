@@ -0,0 +1,269 @@
+// test/truckofwar.test.js
+// Truck Of War adapter driven through onPlayerJoin / onPlayerMsg / onUnityMsg (node --test test/)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Records, vouchers and the outbox read their env once, at require time
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "tow-test-"));
+process.env.RECORD_DIR = path.join(tmp, "records");
+process.env.RECORD_SINKS = "fs";
+process.env.VOUCHER_LEDGER_FILE = path.join(tmp, "issued.jsonl");
+process.env.RECORD_OUTBOX_DISABLED = "1";
+delete process.env.TOW_TIE_POLICY;
+
+// Deployed as games/truckofwar.js next to server.js (it requires "../recordSinks" etc.):
+// load a copy from that layout, with the siblings pointing back at this tree
+const backendDir = path.join(__dirname, "..");
+fs.mkdirSync(path.join(tmp, "games"));
+fs.copyFileSync(path.join(backendDir, "truckofwar.js"), path.join(tmp, "games", "truckofwar.js"));
+for (const dep of ["recordSinks", "recordOutbox", "voucherLedger", "protocol", "metrics"]) {
+  const target = JSON.stringify(path.join(backendDir, `${dep}.js`));
+  fs.writeFileSync(path.join(tmp, `${dep}.js`), `module.exports = require(${target});\n`);
+}
+
+const tow = require(path.join(tmp, "games", "truckofwar.js"));
+const protocol = require("../protocol");
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function fakeWs() {
+  return {
+    readyState: 1,
+    sent: [],
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    },
+    close() {
+      this.readyState = 3;
+    },
+  };
+}
+
+// Sessions of the running test; ended afterwards so a failed assertion can't leave timers behind
+const liveSessions = new Set();
+test.afterEach(async () => {
+  for (const session of liveSessions) await tow.onForcedEnd(session, { reason: "test_cleanup" });
+  liveSessions.clear();
+});
+
+let codeSeq = 0;
+function makeSession(cfg = {}) {
+  const code = `T${String(++codeSeq).padStart(3, "0")}`;
+  const session = { code, gameType: "truckofwar", phase: "join", players: {}, spectators: {}, unity: { ws: fakeWs() } };
+  session.state = tow.onInit({ code, allowedNumberOfPlayers: 10, recordSinks: ["fs"], ...cfg });
+  liveSessions.add(session);
+  return session;
+}
+
+// -> { clientId, ws, result } (result: onPlayerJoin's { ok:false, reason } on rejection)
+function join(session, username, { seat = "", requestedTeamIndex } = {}) {
+  const clientId = `c-${session.code}-${username}`;
+  const ws = fakeWs();
+  session.players[clientId] = { ws, username, fullName: username, resumeToken: `tok-${username}`, seat };
+  const result = tow.onPlayerJoin(session, clientId, seat, { requestedTeamIndex });
+  if (result && result.ok === false) delete session.players[clientId];
+  return { clientId, ws, result };
+}
+
+function meta(session, username) {
+  return Object.values(session.state.playerMetaByUid).find((m) => m.name === username);
+}
+
+function lastOfType(ws, type) {
+  return ws.sent.filter((m) => m.type === type).pop();
+}
+
+function playRound(session, roundIndex, winnerTeamIndex) {
+  tow.onUnityMsg(session, { kind: "roundLive", roundIndex });
+  tow.onUnityMsg(session, { kind: "roundEnd", roundIndex, winnerTeamIndex });
+}
+
+test("taps past 20/s over the 2s window are rejected and the player is flagged", async () => {
+  const session = makeSession();
+  const cheat = join(session, "zed");
+  tow.onUnityMsg(session, { kind: "phase", phase: "active" });
+
+  // 40 fit the window; the next three messages are rate_limit violations
+  for (let i = 0; i < 7; i++) tow.onPlayerMsg(session, cheat.clientId, { kind: "tap", count: 10 });
+
+  const m = meta(session, "zed");
+  assert.equal(m.taps, 40);
+  assert.equal(m.tapsRejected, 30);
+  assert.deepEqual(m.violations, { rate_limit: 3 });
+  assert.equal(m.flagged, true);
+  assert.equal(session.state.tapsAccepted, 40);
+  assert.equal(session.state.tapsRejected, 30);
+  const unityTaps = session.unity.ws.sent.filter((x) => x.type === "tap");
+  assert.equal(unityTaps.reduce((sum, x) => sum + x.count, 0), 40);
+});
+
+test("oversized messages are capped and count as violations", async () => {
+  const session = makeSession();
+  const p = join(session, "amy");
+  tow.onUnityMsg(session, { kind: "phase", phase: "active" });
+
+  tow.onPlayerMsg(session, p.clientId, { kind: "tap", count: 100000 });
+  const m = meta(session, "amy");
+  assert.equal(m.taps, 10);
+  assert.deepEqual(m.violations, { message_cap: 1 });
+  assert.equal(m.flagged, undefined);
+});
+
+test("taps outside the active phase are dropped, not rejected", async () => {
+  const session = makeSession();
+  const p = join(session, "amy");
+  tow.onPlayerMsg(session, p.clientId, { kind: "tap", count: 5 });
+  assert.equal(meta(session, "amy").taps, 0);
+  assert.equal(session.state.tapsDropped, 5);
+  assert.equal(session.state.tapsRejected, 0);
+
+  // phase names match exactly: "Active" fails validation and changes nothing here
+  const payload = { kind: "phase", phase: "Active" };
+  assert.equal(protocol.validatePayload(tow.unityPayloadSchemas, payload).path, "payload.phase");
+  tow.onUnityMsg(session, payload);
+  assert.equal(session.phase, "join");
+});
+
+test("flagged players get no rank and no prize", async () => {
+  const session = makeSession({
+    voucherPool: ["RANK-1", "RANK-2"],
+    prizeRules: [{ team: "any", by: "gtr", from: 1, to: 2 }],
+  });
+  const cheat = join(session, "zed");
+  const honest = join(session, "amy");
+  tow.onUnityMsg(session, { kind: "phase", phase: "active" });
+
+  for (let i = 0; i < 7; i++) tow.onPlayerMsg(session, cheat.clientId, { kind: "tap", count: 10 });
+  tow.onPlayerMsg(session, honest.clientId, { kind: "tap", count: 5 });
+  assert.equal(meta(session, "zed").flagged, true);
+
+  await tow.onForcedEnd(session, { reason: "test" });
+
+  const zed = lastOfType(cheat.ws, "gameResult");
+  assert.equal(zed.taps, 40);
+  assert.equal(zed.gtr, null);
+  assert.equal(zed.ttr, null);
+  assert.equal(zed.prize, null);
+
+  const amy = lastOfType(honest.ws, "gameResult");
+  assert.equal(amy.gtr, 1);
+  assert.equal(amy.ttr, 1);
+  assert.equal(amy.prize.code, "RANK-1");
+
+  assert.deepEqual(session.state.leaderboard.topGtr.map((x) => x.username), ["amy"]);
+  assert.deepEqual(session.state.prizes.allocations.map((a) => a.username), ["amy"]);
+});
+
+test("suddenDeath plays at most SUDDEN_DEATH_MAX_ROUNDS extra rounds, then ties", async () => {
+  const session = makeSession({ bestOf: 1, tiePolicy: "suddenDeath" });
+  const a = join(session, "amy");
+  join(session, "bob");
+  tow.onUnityMsg(session, { kind: "phase", phase: "active" });
+
+  playRound(session, 1, null);
+  assert.equal(session.state.matchTied, false);
+
+  tow.onUnityMsg(session, { kind: "roundStarting", roundIndex: 2, bufferSeconds: 0 });
+  assert.equal(lastOfType(a.ws, "roundStarting").suddenDeath, true);
+
+  // rounds 2 and 3 drawn: still playing; round 4 is the third extra round
+  for (const roundIndex of [2, 3]) {
+    playRound(session, roundIndex, null);
+    assert.equal(session.state.matchTied, false, `decided after round ${roundIndex}`);
+  }
+  playRound(session, 4, null);
+  assert.equal(session.state.matchTied, true);
+  assert.equal(session.state.matchWinnerTeamIndex, null);
+
+  await tow.onForcedEnd(session, { reason: "test" });
+  assert.equal(lastOfType(a.ws, "gameResult").state, "tie");
+  assert.equal(session.state.leaderboard.winningTeam, "Tie");
+});
+
+test("a won suddenDeath round decides the match", async () => {
+  const session = makeSession({ bestOf: 1, tiePolicy: "suddenDeath" });
+  join(session, "amy");
+  const b = join(session, "bob");
+  tow.onUnityMsg(session, { kind: "phase", phase: "active" });
+
+  playRound(session, 1, null);
+  playRound(session, 2, 1);
+  assert.equal(session.state.matchWinnerTeamIndex, 1);
+  assert.equal(session.state.matchTied, false);
+
+  await tow.onForcedEnd(session, { reason: "test" });
+  assert.equal(lastOfType(b.ws, "gameResult").state, "winner");
+});
+
+test("a voucher code is never issued twice, across sessions", async () => {
+  const pool = ["ONCE-1", "ONCE-2"];
+  const issued = [];
+
+  for (const username of ["amy", "bob", "cat"]) {
+    const session = makeSession({ voucherPool: pool, prizeRules: [{ team: "any", by: "gtr", to: 1 }] });
+    const p = join(session, username);
+    tow.onUnityMsg(session, { kind: "phase", phase: "active" });
+    tow.onPlayerMsg(session, p.clientId, { kind: "tap", count: 3 });
+    await tow.onForcedEnd(session, { reason: "test" });
+
+    // a finalize that runs again (e.g. after a restart) keeps the first allocation
+    await tow.onSessionEnd(session, { reason: "test" });
+    issued.push(lastOfType(p.ws, "gameResult").prize?.code ?? null);
+    if (username === "cat") assert.equal(session.state.prizes.unfilled[0].reason, "pool_exhausted");
+  }
+
+  assert.deepEqual(issued, ["ONCE-1", "ONCE-2", null]);
+  const ledger = fs
+    .readFileSync(process.env.VOUCHER_LEDGER_FILE, "utf-8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line).code)
+    .filter((code) => pool.includes(code));
+  assert.deepEqual(ledger, pool);
+});
+
+test("leastFilled alternates teams", () => {
+  const session = makeSession();
+  const teams = ["a1", "b1", "a2", "b2", "a3"].map((u) => {
+    join(session, u);
+    return meta(session, u).teamIndex;
+  });
+  assert.deepEqual(teams, [0, 1, 0, 1, 0]);
+});
+
+test("seatPinned uses seat patterns, unknown seats fill the smaller team", () => {
+  const session = makeSession({
+    teamAssignmentMode: "seatPinned",
+    teamA_playerSeat: ["F1-F10"],
+    teamB_playerSeat: ["G*", "H12"],
+  });
+  const teamOf = (username, seat) => {
+    join(session, username, { seat });
+    return meta(session, username).teamIndex;
+  };
+
+  assert.equal(teamOf("f3", "f 3"), 0);
+  assert.equal(teamOf("f4", "F4"), 0);
+  assert.equal(teamOf("g20", "G20"), 1);
+  assert.equal(teamOf("h12", "h12"), 1);
+  assert.equal(teamOf("f11", "F11"), 0); // outside the range: least filled (2 vs 2 -> A)
+  assert.equal(teamOf("none", ""), 1);
+});
+
+test("playerChoice honours the pick up to teamCapacity", () => {
+  const session = makeSession({ teamAssignmentMode: "playerChoice", teamCapacity: 1 });
+
+  assert.equal(join(session, "bea", { requestedTeamIndex: 1 }).result, undefined);
+  assert.equal(meta(session, "bea").teamIndex, 1);
+
+  assert.deepEqual(join(session, "bob", { requestedTeamIndex: 1 }).result, { ok: false, reason: "team_full" });
+  assert.equal(meta(session, "bob"), undefined);
+
+  join(session, "amy");
+  assert.equal(meta(session, "amy").teamIndex, 0);
+  assert.deepEqual(join(session, "cat").result, { ok: false, reason: "team_full" });
+});
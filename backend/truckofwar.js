@@ -7,10 +7,10 @@
 // - JSON + ranks now reflect UNIQUE players, not connections.
 //
 // Core:
-// - Backend decides team (least-filled; tie -> Team A)
+// - Backend decides team (see Team assignment)
 // - Reject duplicate usernames per room (case-insensitive) UNLESS same stableUid
 // - Counts taps ONLY when session.phase === "active" (backend authoritative)
-// - On match end -> compute ranks + send winner/loser + write JSON to S3
+// - On match end -> compute ranks + send winner/loser + write JSON to the record sinks
 //
 // Round UX (NEW):
 // - Unity may send:
@@ -21,6 +21,12 @@
 //    - { kind:"roundLive", roundIndex? }
 //      -> broadcast: { type:"roundLive", roundIndex }
 
+const recordSinks = require("../recordSinks");
+const recordOutbox = require("../recordOutbox");
+const voucherLedger = require("../voucherLedger");
+const { hasFeature } = require("../protocol");
+const metrics = require("../metrics");
+
 function safeSend(ws, obj) {
   try {
     if (ws && ws.readyState === 1) ws.send(JSON.stringify(obj));
@@ -40,6 +46,37 @@ function broadcastToUnity(session, obj) {
   safeSend(session.unity?.ws, obj);
 }
 
+function broadcastToSpectators(session, obj) {
+  const msg = JSON.stringify(obj);
+  for (const s of Object.values(session.spectators || {})) {
+    try {
+      if (s.ws && s.ws.readyState === 1) s.ws.send(msg);
+    } catch (_) {}
+  }
+}
+
+// Players + spectators (phase changes, round countdowns)
+function broadcastToRoom(session, obj) {
+  broadcastToPlayers(session, obj);
+  broadcastToSpectators(session, obj);
+}
+
+// server.js callbacks (attachServer). Timers (server sim, match-over fallback) change the
+// session with no inbound message after them, so they report back for journaling + cleanup.
+let serverCtx = null;
+
+function notifyStateChanged(session) {
+  try {
+    serverCtx?.onStateChanged?.(session);
+  } catch (_) {}
+}
+
+function notifyGameOver(session) {
+  try {
+    serverCtx?.onGameOver?.(session);
+  } catch (_) {}
+}
+
 function nowIso() {
   return new Date().toISOString();
 }
@@ -96,21 +133,194 @@ function ensureState(session) {
   // uid -> taps (optional)
   if (!st.tapsByUid) st.tapsByUid = {};
 
-  if (!st.bestOf) st.bestOf = 3;
+  if (!st.match || typeof st.match !== "object") st.match = normalizeMatchConfig({ bestOf: st.bestOf });
+  if (!st.bestOf) st.bestOf = st.match.bestOf;
+  if (!TIE_POLICIES.includes(st.match.tiePolicy)) st.match.tiePolicy = normalizeTiePolicy(null);
+  if (typeof st.matchWinnerTeamIndex !== "number") st.matchWinnerTeamIndex = null;
+  if (typeof st.matchTied !== "boolean") st.matchTied = false;
+  if (!Array.isArray(st.rounds)) st.rounds = [];
 
   if (typeof st.roundIndex !== "number") st.roundIndex = 1;
   if (typeof st.roundsWonA !== "number") st.roundsWonA = 0;
   if (typeof st.roundsWonB !== "number") st.roundsWonB = 0;
 
+  if (!st.simulation || typeof st.simulation !== "object") st.simulation = normalizeSimConfig(null);
+  if (!st.input || typeof st.input !== "object") st.input = normalizeInputConfig(null);
+
+  // tap accounting per session (accepted / dropped / rejected; see countTaps)
+  if (typeof st.tapsAccepted !== "number") st.tapsAccepted = 0;
+  if (typeof st.tapsDropped !== "number") st.tapsDropped = 0;
+  if (typeof st.tapsRejected !== "number") st.tapsRejected = 0; // anti-cheat
+
+  if (!Array.isArray(st.recordSinks)) st.recordSinks = recordSinks.resolveSinkNames(null);
+
   if (typeof st.winningTeamIndex !== "number") st.winningTeamIndex = null;
   if (typeof st.lastRoundWinnerTeamIndex !== "number") st.lastRoundWinnerTeamIndex = null;
 
+  if (!Array.isArray(st.voucherPool)) st.voucherPool = normalizeVoucherPool(session.voucherPool);
+  if (!Array.isArray(st.prizeRules)) st.prizeRules = normalizePrizeRules(session);
+  if (st.prizes === undefined) st.prizes = null;
+  if (st.leaderboard === undefined) st.leaderboard = null;
+
+  if (!st.teamBranding || typeof st.teamBranding !== "object") {
+    st.teamBranding = normalizeTeamBranding(session);
+  }
+
+  if (!st.teamAssignment || typeof st.teamAssignment !== "object") {
+    st.teamAssignment = normalizeTeamAssignment({
+      teamAssignmentMode: session.teamAssignmentMode,
+      teamA_playerSeat: session.teamA_playerSeat,
+      teamB_playerSeat: session.teamB_playerSeat,
+      allowedNumberOfPlayers: session.allowedNumberOfPlayers,
+    });
+  }
+
   return st;
 }
 
+/* ===========================
+   Team branding (names + colours per team index)
+   unityCreate teamA_name/teamB_name + teamA_color/teamB_color. Names default to
+   "Team A"/"Team B" and replace those labels in every player/Unity message, the snapshot
+   and the record; colours ("#RRGGBB") ride along as teamColor.
+=========================== */
+
+const DEFAULT_TEAM_NAMES = ["Team A", "Team B"];
+const MAX_TEAM_NAME_LENGTH = 32;
+
+// "#RGB" / "#RRGGBB" (hash optional) -> "#RRGGBB", anything else -> null
+function normColor(v) {
+  const hex = String(v || "").trim().replace(/^#/, "");
+  if (/^[0-9a-f]{3}$/i.test(hex)) return `#${hex.replace(/./g, "$&$&")}`.toUpperCase();
+  if (/^[0-9a-f]{6}$/i.test(hex)) return `#${hex}`.toUpperCase();
+  return null;
+}
+
+function normalizeTeamBranding(cfg) {
+  const name = (v, i) =>
+    String(v || "").replace(/\s+/g, " ").trim().slice(0, MAX_TEAM_NAME_LENGTH) || DEFAULT_TEAM_NAMES[i];
+  return {
+    names: [name(cfg?.teamA_name, 0), name(cfg?.teamB_name, 1)],
+    colors: [normColor(cfg?.teamA_color), normColor(cfg?.teamB_color)],
+  };
+}
+
+function teamName(st, teamIndex) {
+  return st.teamBranding.names[teamIndex] ?? DEFAULT_TEAM_NAMES[teamIndex] ?? "—";
+}
+
+function teamColor(st, teamIndex) {
+  return st.teamBranding.colors[teamIndex] ?? null;
+}
+
+/* ===========================
+   Team assignment
+   - leastFilled: smaller roster, tie -> Team A (server's "roundRobin" maps here)
+   - seatPinned: seat from playerJoinTow matched against teamA_playerSeat / teamB_playerSeat
+     ("F12" exact, "F1-F12" range within a row, "F*" whole row); unknown seat -> leastFilled
+   - playerChoice: phone sends teamIndex; each team capped at teamCapacity
+     (default ceil(allowedNumberOfPlayers / 2)); no choice -> least-filled team with room
+=========================== */
+
+const TEAM_ASSIGNMENT_MODES = ["leastFilled", "seatPinned", "playerChoice"];
+
+function normSeat(v) {
+  return String(v || "").toUpperCase().replace(/\s+/g, "");
+}
+
+function parseSeat(seat) {
+  const m = /^([A-Z]+)(\d+)$/.exec(seat);
+  return m ? { row: m[1], num: Number(m[2]) } : null;
+}
+
+// "F12" | "F1-F12" | "F*" -> matcher spec (invalid patterns are dropped)
+function parseSeatPattern(raw) {
+  const pat = normSeat(raw);
+  if (!pat) return null;
+
+  if (/^[A-Z]+\*$/.test(pat)) return { row: pat.slice(0, -1) };
+
+  const range = /^([A-Z]+)(\d+)-(?:([A-Z]+))?(\d+)$/.exec(pat);
+  if (range) {
+    const row = range[1];
+    if (range[3] && range[3] !== row) return null; // ranges stay within one row
+    const a = Number(range[2]);
+    const b = Number(range[4]);
+    return { row, from: Math.min(a, b), to: Math.max(a, b) };
+  }
+
+  return { seat: pat };
+}
+
+function seatMatches(pattern, seat) {
+  if (pattern.seat) return pattern.seat === seat;
+  const parsed = parseSeat(seat);
+  if (!parsed || parsed.row !== pattern.row) return false;
+  if (typeof pattern.from !== "number") return true;
+  return parsed.num >= pattern.from && parsed.num <= pattern.to;
+}
+
+function normalizeTeamAssignment(cfg) {
+  const raw = String(cfg?.teamAssignmentMode || "").trim();
+  const mode = TEAM_ASSIGNMENT_MODES.includes(raw) ? raw : "leastFilled";
+
+  const patterns = (list) =>
+    (Array.isArray(list) ? list : []).map(parseSeatPattern).filter(Boolean);
+
+  // 0 / missing = half of the player cap (Unity's ControlConfig default)
+  const cap = Math.floor(Number(cfg?.teamCapacity));
+  const fallbackCap = Math.max(1, Math.ceil((Number(cfg?.allowedNumberOfPlayers) || 0) / 2));
+
+  return {
+    mode,
+    seatsA: patterns(cfg?.teamA_playerSeat),
+    seatsB: patterns(cfg?.teamB_playerSeat),
+    teamCapacity: Number.isFinite(cap) && cap > 0 ? cap : fallbackCap,
+  };
+}
+
+function seatTeamIndex(assign, seat) {
+  const s = normSeat(seat);
+  if (!s) return null;
+  if (assign.seatsA.some((p) => seatMatches(p, s))) return 0;
+  if (assign.seatsB.some((p) => seatMatches(p, s))) return 1;
+  return null;
+}
+
+// Players on each team's live roster (st.teams; players who left or were kicked free their seat)
+function rosterCounts(st) {
+  return [st.teams[0].length, st.teams[1].length];
+}
+
+// New player -> { ok:true, teamIndex } | { ok:false, reason }
+function assignTeamIndex(st, { seat, requestedTeamIndex } = {}) {
+  const assign = st.teamAssignment;
+
+  if (assign.mode === "seatPinned") {
+    const pinned = seatTeamIndex(assign, seat);
+    return { ok: true, teamIndex: pinned !== null ? pinned : pickLeastFilledTeamIndex(st) };
+  }
+
+  if (assign.mode === "playerChoice") {
+    const counts = rosterCounts(st);
+    const hasRoom = (ti) => counts[ti] < assign.teamCapacity;
+
+    if (requestedTeamIndex === 0 || requestedTeamIndex === 1) {
+      if (!hasRoom(requestedTeamIndex)) return { ok: false, reason: "team_full" };
+      return { ok: true, teamIndex: requestedTeamIndex };
+    }
+
+    const least = pickLeastFilledTeamIndex(st);
+    if (hasRoom(least)) return { ok: true, teamIndex: least };
+    if (hasRoom(1 - least)) return { ok: true, teamIndex: 1 - least };
+    return { ok: false, reason: "team_full" };
+  }
+
+  return { ok: true, teamIndex: pickLeastFilledTeamIndex(st) };
+}
+
 function pickLeastFilledTeamIndex(st) {
-  const a = st.teams[0].length;
-  const b = st.teams[1].length;
+  const [a, b] = rosterCounts(st);
   if (a === 0 && b === 0) return 0;
   if (a < b) return 0;
   if (b < a) return 1;
@@ -129,10 +339,25 @@ function snapshot(session) {
     phase: session.phase,
     allowedNumberOfPlayers: session.allowedNumberOfPlayers,
     bestOf: st.bestOf,
+    winsNeeded: requiredWins(st),
+    teamA_name: teamName(st, 0),
+    teamB_name: teamName(st, 1),
+    teamA_color: teamColor(st, 0),
+    teamB_color: teamColor(st, 1),
+    teamAssignmentMode: st.teamAssignment.mode,
+    teamCapacity: st.teamAssignment.mode === "playerChoice" ? st.teamAssignment.teamCapacity : null,
+    roundDurationSeconds: st.match.roundDurationSeconds,
+    bufferSeconds: st.match.bufferSeconds,
+    roundEndDisplaySeconds: st.match.roundEndDisplaySeconds,
+    tiePolicy: st.match.tiePolicy,
+    inputModes: st.input.modes.slice(),
+    inputTuning: { ...st.input.tuning },
+    beatClockMs: typeof st.beatClockAt === "number" ? Date.now() - st.beatClockAt : null,
     roundIndex: st.roundIndex,
     roundsWonA: st.roundsWonA,
     roundsWonB: st.roundsWonB,
     winningTeamIndex: st.winningTeamIndex ?? null,
+    isTie: st.matchTied,
     playersTotal: uniquePlayersCount(st), // FIX: unique players
     teamAPlayers: st.teams[0].slice(),
     teamBPlayers: st.teams[1].slice(),
@@ -140,11 +365,11 @@ function snapshot(session) {
 }
 
 /* ===========================
-   S3 Upload (best-effort)
+   Record sinks (see recordSinks.js)
+   fs / webhook / s3, chosen per session; failed writes are queued in recordOutbox.js
+   and retried across restarts.
 =========================== */
 
-let _hasLoggedMissingBucket = false;
-
 function getS3BucketName(session) {
   const fromSession =
     session?.s3Bucket ||
@@ -165,51 +390,243 @@ function getS3BucketName(session) {
   ).trim();
 }
 
-async function uploadJsonToS3({ bucket, key, bodyObj }) {
-  if (!bucket) {
-    if (!_hasLoggedMissingBucket) {
-      console.info(
-        "[truckofwar] S3 bucket not configured; skipping Truck Of War upload. " +
-          "Set S3_BUCKET_NAME (or CINEMAGAMES_S3_BUCKET/AWS_BUCKET_NAME) to enable."
-      );
-      _hasLoggedMissingBucket = true;
-    }
-    return { ok: false, reason: "missing_bucket" };
+/* ===========================
+   Tap plausibility (anti-cheat)
+   Per-message cap + per-player sliding-window rate. Excess taps are rejected; repeat
+   offenders are flagged and left out of rankings (record.flaggedPlayers).
+   Env overrides: TOW_MAX_TAPS_PER_MESSAGE, TOW_MAX_TAPS_PER_SECOND,
+   TOW_TAP_WINDOW_MS, TOW_FLAG_AFTER_VIOLATIONS
+=========================== */
+
+function envInt(name, fallback, min, max) {
+  const n = Math.floor(Number(process.env[name]));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+const TAP_LIMITS = {
+  maxPerMessage: envInt("TOW_MAX_TAPS_PER_MESSAGE", 10, 1, 1000), // webapp batches ~90ms of taps
+  maxPerSecond: envInt("TOW_MAX_TAPS_PER_SECOND", 20, 1, 1000), // fast humans sit around 12-15/s
+  windowMs: envInt("TOW_TAP_WINDOW_MS", 2000, 250, 60_000),
+  flagAfterViolations: envInt("TOW_FLAG_AFTER_VIOLATIONS", 3, 1, 1000),
+};
+
+const TAP_COUNTERS = { accepted: "tapsAccepted", dropped: "tapsDropped", rejected: "tapsRejected" };
+
+// Session tally + the process-wide /metrics counter
+function countTaps(st, result, n) {
+  if (!(n > 0)) return;
+  st[TAP_COUNTERS[result]] += n;
+  metrics.recordTaps("truckofwar", result, n);
+}
+
+// code -> Map(uid -> [{ at, n }]) accepted taps inside the window (transient, not journaled)
+const tapWindows = new Map();
+
+function clearTapWindows(session) {
+  tapWindows.delete(session?.code);
+  inputBanks.delete(session?.code);
+}
+
+// Accepted taps for this message; the remainder is rejected
+function admitTaps(session, uid, requested, now) {
+  if (!tapWindows.has(session.code)) tapWindows.set(session.code, new Map());
+  const byUid = tapWindows.get(session.code);
+  const entries = (byUid.get(uid) || []).filter((e) => now - e.at < TAP_LIMITS.windowMs);
+
+  const used = entries.reduce((sum, e) => sum + e.n, 0);
+  const budget = Math.floor((TAP_LIMITS.maxPerSecond * TAP_LIMITS.windowMs) / 1000);
+
+  const capped = Math.min(requested, TAP_LIMITS.maxPerMessage);
+  const accepted = Math.max(0, Math.min(capped, budget - used));
+
+  if (accepted > 0) entries.push({ at: now, n: accepted });
+  byUid.set(uid, entries);
+
+  return {
+    accepted,
+    rejected: requested - accepted,
+    violation: requested > TAP_LIMITS.maxPerMessage ? "message_cap" : accepted < capped ? "rate_limit" : null,
+  };
+}
+
+function recordTapViolation(session, meta, violation, rejected) {
+  meta.tapsRejected = (meta.tapsRejected || 0) + rejected;
+  if (!meta.violations || typeof meta.violations !== "object") meta.violations = {};
+  meta.violations[violation] = (meta.violations[violation] || 0) + 1;
+
+  const total = Object.values(meta.violations).reduce((a, b) => a + b, 0);
+  if (!meta.flagged && total >= TAP_LIMITS.flagAfterViolations) {
+    meta.flagged = true;
+    meta.flaggedAt = nowIso();
+    console.warn(
+      `[truckofwar] flagged ${meta.name} (${meta.uid}) in ${session.code}:`,
+      meta.violations
+    );
   }
+}
 
-  let S3Client, PutObjectCommand;
-  try {
-    ({ S3Client, PutObjectCommand } = require("@aws-sdk/client-s3"));
-  } catch (e) {
-    console.warn("[truckofwar] @aws-sdk/client-s3 not installed; skipping upload");
-    return { ok: false, reason: "missing_sdk" };
+function flaggedPlayersList(st) {
+  return Object.values(st.playerMetaByUid || {})
+    .filter((meta) => meta?.flagged)
+    .map((meta) => ({
+      uid: meta.uid,
+      username: meta.name,
+      fullName: meta.fullName || "",
+      team: teamName(st, meta.teamIndex),
+      taps: meta.taps || 0,
+      tapsRejected: meta.tapsRejected || 0,
+      violations: { ...(meta.violations || {}) },
+      flaggedAt: meta.flaggedAt || null,
+    }));
+}
+
+/* ===========================
+   Input modes (unityCreate inputModes + inputTuning)
+   Phones report raw input; the backend turns it into taps (pull force) itself:
+   - tap    { kind:"tap", count }     1 tap each ("pull"/"click" are legacy aliases)
+   - hold   { kind:"hold", ms }       holdTapsPerSecond while the button is held
+   - swipe  { kind:"swipe", distance } swipeTapsPerScreen per screen height dragged down
+   - rhythm { kind:"beat", at:[ms] }   press times on the phone's beat clock (ms since beat 0,
+                                        see Beat clock); the server judges them itself:
+                                        perfect/good hits score more, off-beat ones nothing
+   Claims are bounded by server time: each report spends from one per-player time bank
+   (shared by the converted modes) that refills in real time, at most maxReportGapMs
+   banked. A lying phone caps out at about a fast tapper (~10 taps/s), and everything
+   still goes through admitTaps. Modes the room doesn't allow are dropped.
+   snapshot.inputModes / inputTuning tell phones what to offer; record.inputModes and each
+   player's inputMode + tapsByMode show what was used.
+=========================== */
+
+const INPUT_MODES = ["tap", "hold", "swipe", "rhythm"];
+
+// payload kind -> input mode
+const INPUT_KIND_MODES = {
+  tap: "tap",
+  pull: "tap",
+  click: "tap",
+  hold: "hold",
+  swipe: "swipe",
+  beat: "rhythm",
+};
+
+const INPUT_DEFAULTS = {
+  holdTapsPerSecond: 8,
+  swipeTapsPerScreen: 3,
+  swipeMaxScreensPerSecond: 3,
+  rhythmBpm: 120,
+  rhythmPerfectMs: 70,
+  rhythmGoodMs: 150,
+  rhythmPerfectTaps: 5, // all-perfect at 120 bpm = 10 taps/s
+  rhythmGoodTaps: 3,
+  maxReportGapMs: 1000,
+};
+
+// Timer / clock drift allowance when checking a hit against its arrival time
+const RHYTHM_CLOCK_SLACK_MS = 50;
+
+// code -> Map(uid -> { carry, bankMs, lastAt, beatClockAt, lastBeat }) (transient, like tapWindows)
+const inputBanks = new Map();
+
+// Host order is kept (the first mode is the phones' default); nothing valid -> ["tap"]
+function normalizeInputConfig(cfg) {
+  const modes = [];
+  for (const raw of Array.isArray(cfg?.inputModes) ? cfg.inputModes : []) {
+    const mode = INPUT_MODES.find((m) => m === String(raw || "").trim().toLowerCase());
+    if (mode && !modes.includes(mode)) modes.push(mode);
   }
 
-  const region =
-    (process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || "").trim() ||
-    "ap-southeast-1";
+  const t = cfg?.inputTuning && typeof cfg.inputTuning === "object" ? cfg.inputTuning : {};
+  const num = (v, fallback, min, max) => {
+    const n = Number(v);
+    if (v === null || v === undefined || v === "" || !Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+  };
 
-  const client = new S3Client({ region });
-  const Body = Buffer.from(JSON.stringify(bodyObj, null, 2), "utf-8");
+  const tuning = {
+    holdTapsPerSecond: num(t.holdTapsPerSecond, INPUT_DEFAULTS.holdTapsPerSecond, 0, 20),
+    swipeTapsPerScreen: num(t.swipeTapsPerScreen, INPUT_DEFAULTS.swipeTapsPerScreen, 0, 20),
+    swipeMaxScreensPerSecond: num(t.swipeMaxScreensPerSecond, INPUT_DEFAULTS.swipeMaxScreensPerSecond, 0.1, 10),
+    rhythmBpm: num(t.rhythmBpm, INPUT_DEFAULTS.rhythmBpm, 40, 240),
+    rhythmPerfectMs: num(t.rhythmPerfectMs, INPUT_DEFAULTS.rhythmPerfectMs, 10, 500),
+    rhythmGoodMs: num(t.rhythmGoodMs, INPUT_DEFAULTS.rhythmGoodMs, 10, 1000),
+    rhythmPerfectTaps: num(t.rhythmPerfectTaps, INPUT_DEFAULTS.rhythmPerfectTaps, 0, 20),
+    rhythmGoodTaps: num(t.rhythmGoodTaps, INPUT_DEFAULTS.rhythmGoodTaps, 0, 20),
+    maxReportGapMs: num(t.maxReportGapMs, INPUT_DEFAULTS.maxReportGapMs, 250, 5000),
+  };
+  tuning.rhythmGoodMs = Math.max(tuning.rhythmGoodMs, tuning.rhythmPerfectMs);
 
-  try {
-    await client.send(
-      new PutObjectCommand({
-        Bucket: bucket,
-        Key: key,
-        Body,
-        ContentType: "application/json; charset=utf-8",
-      })
-    );
-    return { ok: true };
-  } catch (e) {
-    console.warn("[truckofwar] S3 upload failed:", e?.message || e);
-    return { ok: false, reason: "upload_failed" };
+  return { modes: modes.length ? modes : ["tap"], tuning };
+}
+
+function inputBank(session, uid) {
+  if (!inputBanks.has(session.code)) inputBanks.set(session.code, new Map());
+  const byUid = inputBanks.get(session.code);
+  if (!byUid.has(uid)) byUid.set(uid, { carry: 0, bankMs: 0, lastAt: null, beatClockAt: null, lastBeat: -1 });
+  return byUid.get(uid);
+}
+
+// Spend up to wantMs of the player's time bank (all or nothing when whole); returns the ms granted
+function spendInputTime(bank, wantMs, now, capMs, whole = false) {
+  const available = bank.lastAt === null ? capMs : Math.min(capMs, bank.bankMs + (now - bank.lastAt));
+  const granted = whole && available < wantMs ? 0 : Math.max(0, Math.min(available, wantMs));
+  bank.bankMs = available - granted;
+  bank.lastAt = now;
+  return granted;
+}
+
+// hold / swipe / beat report -> whole taps (fractions carry over to the next report)
+function convertInput(session, st, uid, mode, payload, now) {
+  const tuning = st.input.tuning;
+  const bank = inputBank(session, uid);
+  const cap = tuning.maxReportGapMs;
+  let credit = 0;
+
+  if (mode === "hold") {
+    const ms = spendInputTime(bank, Number(payload.ms) || 0, now, cap);
+    credit = (ms / 1000) * tuning.holdTapsPerSecond;
+  } else if (mode === "swipe") {
+    const wantMs = ((Number(payload.distance) || 0) / tuning.swipeMaxScreensPerSecond) * 1000;
+    const ms = spendInputTime(bank, wantMs, now, cap);
+    credit = (ms / 1000) * tuning.swipeMaxScreensPerSecond * tuning.swipeTapsPerScreen;
+  } else if (mode === "rhythm") {
+    // The phone's clock starts when it hears beat 0, so a real press can't be later than its
+    // arrival on ours, nor older than one report gap. Each beat scores once (first hit wins)
+    // and every hit costs one beat of server time, on-beat or not (mashing can't outscore timing).
+    const beatMs = 60000 / tuning.rhythmBpm;
+    const elapsed = typeof st.beatClockAt === "number" ? now - st.beatClockAt : null;
+    if (bank.beatClockAt !== st.beatClockAt) {
+      bank.beatClockAt = st.beatClockAt;
+      bank.lastBeat = -1;
+    }
+    for (const at of Array.isArray(payload.at) ? payload.at : []) {
+      if (!spendInputTime(bank, beatMs, now, Math.max(cap, beatMs), true)) break;
+      if (elapsed === null || at > elapsed + RHYTHM_CLOCK_SLACK_MS || elapsed - at > cap) continue;
+      const beat = Math.round(at / beatMs);
+      if (beat <= bank.lastBeat) continue;
+      bank.lastBeat = beat;
+      const off = Math.abs(at - beat * beatMs);
+      if (off <= tuning.rhythmPerfectMs) credit += tuning.rhythmPerfectTaps;
+      else if (off <= tuning.rhythmGoodMs) credit += tuning.rhythmGoodTaps;
+    }
   }
+
+  bank.carry += credit;
+  const whole = Math.floor(bank.carry);
+  bank.carry -= whole;
+  return Math.min(whole, TAP_LIMITS.maxPerMessage); // anything above the cap is dropped
+}
+
+// Mode that earned a player the most taps (record.inputMode), or null
+function mainInputMode(meta) {
+  const entries = Object.entries(meta?.tapsByMode || {}).filter(([, n]) => n > 0);
+  if (!entries.length) return null;
+  return entries.sort((a, b) => b[1] - a[1])[0][0];
 }
 
 /* ===========================
    Ranking + JSON build (FIXED: unique UID meta)
+   Flagged and kicked players keep their taps but get no gtr/ttr (excluded from rankings + prizes)
 =========================== */
 
 function computeRanks(st, winningTeamIndex) {
@@ -221,10 +638,16 @@ function computeRanks(st, winningTeamIndex) {
     taps: meta.taps || 0,
     teamIndex: meta.teamIndex,
     joinedAt: meta.joinedAt || meta.firstSeenAt || nowIso(),
+    flagged: !!meta.flagged,
+    kicked: !!meta.kicked,
+    inputMode: mainInputMode(meta),
+    tapsByMode: { ...(meta.tapsByMode || {}) },
   }));
 
+  const ranked = list.filter((x) => !x.flagged && !x.kicked);
+
   // Global rank (gtr)
-  list.sort((a, b) => {
+  ranked.sort((a, b) => {
     if (b.taps !== a.taps) return b.taps - a.taps;
     const ta = Date.parse(a.joinedAt) || 0;
     const tb = Date.parse(b.joinedAt) || 0;
@@ -235,12 +658,12 @@ function computeRanks(st, winningTeamIndex) {
   });
 
   const gtrByNameKey = {};
-  for (let i = 0; i < list.length; i++) gtrByNameKey[list[i].nameKey] = i + 1;
+  for (let i = 0; i < ranked.length; i++) gtrByNameKey[ranked[i].nameKey] = i + 1;
 
   // Team rank (ttr)
   const ttrByNameKey = {};
   for (const teamIndex of [0, 1]) {
-    const teamList = list.filter((x) => x.teamIndex === teamIndex);
+    const teamList = ranked.filter((x) => x.teamIndex === teamIndex);
     teamList.sort((a, b) => {
       if (b.taps !== a.taps) return b.taps - a.taps;
       const ta = Date.parse(a.joinedAt) || 0;
@@ -253,14 +676,12 @@ function computeRanks(st, winningTeamIndex) {
     for (let i = 0; i < teamList.length; i++) ttrByNameKey[teamList[i].nameKey] = i + 1;
   }
 
+  // winningTeamIndex null = tie: everyone gets "tie"
+  const isTie = winningTeamIndex !== 0 && winningTeamIndex !== 1;
   const stateByNameKey = {};
   for (const p of list) {
-    const isWinner =
-      typeof winningTeamIndex === "number" &&
-      (winningTeamIndex === 0 || winningTeamIndex === 1) &&
-      p.teamIndex === winningTeamIndex;
-
-    stateByNameKey[p.nameKey] = isWinner ? "winner" : "loser";
+    if (isTie) stateByNameKey[p.nameKey] = "tie";
+    else stateByNameKey[p.nameKey] = p.teamIndex === winningTeamIndex ? "winner" : "loser";
   }
 
   return { list, gtrByNameKey, ttrByNameKey, stateByNameKey };
@@ -279,35 +700,39 @@ function computeTeamTapTotals(st) {
   return { teamATaps, teamBTaps };
 }
 
-function resolveWinnerTeamIndex(st, explicitWinnerTeamIndex) {
-  if (explicitWinnerTeamIndex === 0 || explicitWinnerTeamIndex === 1) {
-    return explicitWinnerTeamIndex;
-  }
-
+// Level match under st.match.tiePolicy: "taps" compares total taps; otherwise (or equal taps) a tie
+function breakTie(st) {
+  if (st.match.tiePolicy !== "taps") return null;
   const { teamATaps, teamBTaps } = computeTeamTapTotals(st);
   if (teamATaps > teamBTaps) return 0;
   if (teamBTaps > teamATaps) return 1;
+  return null;
+}
 
-  const teamAPlayers = Object.values(st.playerMetaByUid || {}).filter(
-    (meta) => meta?.teamIndex === 0
-  ).length;
-  const teamBPlayers = Object.values(st.playerMetaByUid || {}).filter(
-    (meta) => meta?.teamIndex === 1
-  ).length;
+// 0 | 1, or null for a tie
+function resolveWinnerTeamIndex(st, explicitWinnerTeamIndex) {
+  // Backend's own best-of decision first: older Unity builds send Team A for a level match
+  if (isMatchDecided(st)) return st.matchWinnerTeamIndex;
+
+  if (explicitWinnerTeamIndex === 0 || explicitWinnerTeamIndex === 1) {
+    return explicitWinnerTeamIndex;
+  }
 
-  if (teamAPlayers > teamBPlayers) return 0;
-  if (teamBPlayers > teamAPlayers) return 1;
+  // Ended early (host gone / phase ended): round lead, then the tie policy
+  if (st.roundsWonA > st.roundsWonB) return 0;
+  if (st.roundsWonB > st.roundsWonA) return 1;
+  return breakTie(st);
+}
 
-  // Final deterministic fallback (no ties): Team A.
-  return 0;
+function winningTeamLabel(st, winningTeamIndex) {
+  return winningTeamIndex === 0 || winningTeamIndex === 1 ? teamName(st, winningTeamIndex) : "Tie";
 }
 
 function buildS3Json(session) {
   const st = ensureState(session);
 
   const winningTeamIndex = st.winningTeamIndex;
-  const winningTeam =
-    winningTeamIndex === 0 ? "Team A" : winningTeamIndex === 1 ? "Team B" : "Unknown";
+  const winningTeam = winningTeamLabel(st, winningTeamIndex);
 
   const timeStarted = st.timeStarted || "";
   const timeEnded = st.timeEnded || nowIso();
@@ -322,10 +747,16 @@ function buildS3Json(session) {
       uid: p.uid,
       fullName: p.fullName || "",
       taps: p.taps,
-      team: p.teamIndex === 0 ? "Team A" : "Team B",
+      team: teamName(st, p.teamIndex),
       ttr: ttrByNameKey[p.nameKey] ?? null,
       gtr: gtrByNameKey[p.nameKey] ?? null,
-      state: stateByNameKey[p.nameKey] || "loser",
+      state: stateByNameKey[p.nameKey] || "loser", // "winner" | "loser" | "tie"
+      flagged: p.flagged,
+      kicked: p.kicked,
+      prize: prizeForUid(st, p.uid)?.code ?? null,
+      roundTaps: Object.fromEntries(st.rounds.map((r) => [r.roundIndex, r.tapsByUid?.[p.uid] || 0])),
+      inputMode: p.inputMode, // "tap" | "hold" | "swipe" | "rhythm" | null
+      tapsByMode: p.tapsByMode,
     };
 
     if (p.teamIndex === 0) teamAPlayers[p.name] = record;
@@ -334,15 +765,884 @@ function buildS3Json(session) {
 
   return {
     gameRoomCode: session.code,
-    winningTeam,
+    winningTeam, // team name | "Tie"
+    teamA_name: teamName(st, 0),
+    teamB_name: teamName(st, 1),
+    teamA_color: teamColor(st, 0),
+    teamB_color: teamColor(st, 1),
+    tiePolicy: st.match.tiePolicy,
+    roundsWonA: st.roundsWonA,
+    roundsWonB: st.roundsWonB,
     timeStarted,
     timeEnded,
     numberOfPlayersJoined: list.length, // FIX: unique meta list
     teamAPlayers,
     teamBPlayers,
+    rounds: roundSummaries(st),
+    tapLimits: { ...TAP_LIMITS },
+    inputModes: st.input.modes.slice(),
+    inputTuning: { ...st.input.tuning },
+    flaggedPlayers: flaggedPlayersList(st),
+    prizes: {
+      rules: st.prizeRules,
+      poolSize: st.voucherPool.length,
+      ...(st.prizes || { allocations: [], unfilled: [], remaining: st.voucherPool.length }),
+    },
+  };
+}
+
+/* ===========================
+   Prize allocation (unityCreate voucherPool + prizeRules, or legacy winTopUnderStart/winTopUnderMax)
+   Allocated once at finalize from the ranked players; each player gets at most one voucher
+   and a code is never issued twice (voucherLedger.js, across sessions too).
+   gameResult.prize per player, record.prizes = { rules, allocations, unfilled, remaining }.
+   - voucherPool: ["CODE", ...] or [{ code, tier?, label? }, ...]
+   - prizeRules: [{ tier?, team:"winner"|"loser"|"any", by:"ttr"|"gtr", from?, to }]
+     applied in order; a rule with a tier takes vouchers of that tier, then untiered ones
+   - no prizeRules: winTopUnderStart/winTopUnderMax -> winning team ttr 1..start ("top")
+     and start+1..max ("runnerUp"); neither -> winning team ttr 1..7
+   - "winner" rules cover both teams on a tie (best ranks first, alternating teams)
+=========================== */
+
+const PRIZE_TEAMS = ["winner", "loser", "any"];
+const PRIZE_RANKS = ["ttr", "gtr"];
+const DEFAULT_PRIZE_TOP = 7; // Unity shows the top 7 winners
+
+function normalizeVoucherPool(raw) {
+  const out = [];
+  const seen = new Set();
+  for (const item of Array.isArray(raw) ? raw : []) {
+    const obj = item && typeof item === "object" ? item : { code: item };
+    const code = String(obj.code ?? "").trim();
+    if (!code || seen.has(code)) continue;
+    seen.add(code);
+    out.push({
+      code,
+      tier: obj.tier ? String(obj.tier).trim() : null,
+      label: obj.label ? String(obj.label).trim() : null,
+      issuedTo: null, // uid once allocated here; "elsewhere" if the ledger already had it
+    });
+  }
+  return out;
+}
+
+function normalizePrizeRules(cfg) {
+  const int = (v) => {
+    const n = Math.floor(Number(v));
+    return Number.isFinite(n) && n > 0 ? n : null;
+  };
+
+  if (Array.isArray(cfg?.prizeRules) && cfg.prizeRules.length) {
+    return cfg.prizeRules
+      .filter((r) => r && typeof r === "object" && int(r.to))
+      .map((r) => ({
+        tier: r.tier ? String(r.tier).trim() : null,
+        team: PRIZE_TEAMS.includes(r.team) ? r.team : "winner",
+        by: PRIZE_RANKS.includes(r.by) ? r.by : "ttr",
+        from: int(r.from) || 1,
+        to: int(r.to),
+      }));
+  }
+
+  const start = int(cfg?.winTopUnderStart);
+  const max = int(cfg?.winTopUnderMax);
+  if (start || max) {
+    const top = start || max;
+    const rules = [{ tier: "top", team: "winner", by: "ttr", from: 1, to: top }];
+    if (max && max > top) {
+      rules.push({ tier: "runnerUp", team: "winner", by: "ttr", from: top + 1, to: max });
+    }
+    return rules;
+  }
+
+  return [{ tier: null, team: "winner", by: "ttr", from: 1, to: DEFAULT_PRIZE_TOP }];
+}
+
+function ruleTeamIndexes(st, team) {
+  if (team === "any") return [0, 1];
+  if (st.matchTied) return team === "winner" ? [0, 1] : [];
+  const loser = st.winningTeamIndex === 0 ? 1 : 0;
+  return team === "winner" ? [st.winningTeamIndex] : [loser];
+}
+
+// Exact tier first, then untiered; codes the ledger already knows are skipped for good
+function takeVoucher(session, st, tier, uid) {
+  const candidates = [
+    ...st.voucherPool.filter((v) => !v.issuedTo && tier && v.tier === tier),
+    ...st.voucherPool.filter((v) => !v.issuedTo && !v.tier),
+  ];
+  for (const v of candidates) {
+    if (!voucherLedger.claim(v.code, { gameRoomCode: session.code, uid })) {
+      v.issuedTo = "elsewhere";
+      continue;
+    }
+    v.issuedTo = uid;
+    return v;
+  }
+  return null;
+}
+
+// Runs once per session (result kept in st.prizes, journaled with the state)
+function allocatePrizes(session, { list, gtrByNameKey, ttrByNameKey }) {
+  const st = ensureState(session);
+  if (st.prizes) return st.prizes;
+
+  const allocations = [];
+  const unfilled = [];
+  const prizedUids = new Set();
+
+  if (st.voucherPool.length) {
+    for (const rule of st.prizeRules) {
+      const teams = ruleTeamIndexes(st, rule.team);
+      const rankBy = rule.by === "gtr" ? gtrByNameKey : ttrByNameKey;
+
+      const candidates = list
+        .filter((p) => !p.flagged && !p.kicked && teams.includes(p.teamIndex) && !prizedUids.has(p.uid))
+        .map((p) => ({ p, rank: rankBy[p.nameKey] }))
+        .filter((c) => typeof c.rank === "number" && c.rank >= rule.from && c.rank <= rule.to)
+        .sort((a, b) => a.rank - b.rank || a.p.teamIndex - b.p.teamIndex);
+
+      for (const { p, rank } of candidates) {
+        const row = {
+          uid: p.uid,
+          username: p.name,
+          team: teamName(st, p.teamIndex),
+          teamIndex: p.teamIndex,
+          by: rule.by,
+          rank,
+          tier: rule.tier,
+        };
+
+        const voucher = takeVoucher(session, st, rule.tier, p.uid);
+        if (!voucher) {
+          unfilled.push({ ...row, reason: "pool_exhausted" });
+          continue;
+        }
+
+        prizedUids.add(p.uid);
+        allocations.push({
+          ...row,
+          code: voucher.code,
+          voucherTier: voucher.tier,
+          label: voucher.label,
+        });
+      }
+    }
+  }
+
+  st.prizes = {
+    allocations,
+    unfilled,
+    remaining: st.voucherPool.filter((v) => !v.issuedTo).length,
+  };
+  return st.prizes;
+}
+
+// Player-facing prize (or null)
+function prizeForUid(st, uid) {
+  const a = st.prizes?.allocations?.find((x) => x.uid === uid);
+  return a ? { code: a.code, tier: a.voucherTier || a.tier, label: a.label } : null;
+}
+
+/* ===========================
+   Match config + match-win detection
+   bestOf (or totalRounds), roundDurationSeconds, bufferSeconds, roundEndDisplaySeconds.
+   Once roundsWonA/roundsWonB reaches a majority the backend knows the match is over; if
+   Unity's gameOver doesn't follow within the round-end display + grace, it finalizes.
+=========================== */
+
+const MATCH_DEFAULTS = {
+  bestOf: 3,
+  roundDurationSeconds: 230,
+  bufferSeconds: 3,
+  roundEndDisplaySeconds: 3,
+};
+
+const MAX_BEST_OF = 15;
+
+// What a level match (no majority after bestOf rounds) turns into, see breakTie():
+// more rounds won wins; still level -> "allow" = tie, "taps" = more total taps (equal -> tie),
+// "suddenDeath" = extra rounds until one is won (SUDDEN_DEATH_MAX_ROUNDS, then tie).
+// A timed-out round with equal round taps is drawn (winnerTeamIndex -1/null, result "tie");
+// a tied match is state:"tie" for every player and winningTeam:"Tie" in the record.
+const TIE_POLICIES = ["allow", "taps", "suddenDeath"];
+
+// suddenDeath: drawn extra rounds allowed before the match is called a tie
+const SUDDEN_DEATH_MAX_ROUNDS = 3;
+
+// Extra wait after the round-end display before the backend stops waiting for Unity's gameOver
+const MATCH_OVER_GRACE_SECONDS = 5;
+
+// code -> timeout handle for the gameOver fallback (not journaled; re-armed on restore)
+const matchOverTimers = new Map();
+
+// Accepts Unity ControlConfig names too (totalRounds / best_of)
+function normalizeMatchConfig(cfg) {
+  const num = (v, fallback, min, max) => {
+    const n = Number(v);
+    if (v === null || v === undefined || v === "" || !Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+  };
+
+  return {
+    bestOf: Math.floor(
+      num(cfg?.bestOf ?? cfg?.totalRounds ?? cfg?.best_of, MATCH_DEFAULTS.bestOf, 1, MAX_BEST_OF)
+    ),
+    roundDurationSeconds: num(cfg?.roundDurationSeconds, MATCH_DEFAULTS.roundDurationSeconds, 1, 3600),
+    bufferSeconds: num(cfg?.bufferSeconds, MATCH_DEFAULTS.bufferSeconds, 0, 60),
+    roundEndDisplaySeconds: num(cfg?.roundEndDisplaySeconds, MATCH_DEFAULTS.roundEndDisplaySeconds, 0, 60),
+    tiePolicy: normalizeTiePolicy(cfg?.tiePolicy),
+  };
+}
+
+// Case-insensitive; unknown / missing -> TOW_TIE_POLICY -> "taps"
+function normalizeTiePolicy(v) {
+  const pick = (raw) =>
+    TIE_POLICIES.find((p) => p.toLowerCase() === String(raw || "").trim().toLowerCase()) || null;
+  return pick(v) || pick(process.env.TOW_TIE_POLICY) || "taps";
+}
+
+function requiredWins(st) {
+  const bestOf = Math.max(1, Number(st.bestOf) || MATCH_DEFAULTS.bestOf);
+  return Math.floor(bestOf / 2) + 1;
+}
+
+function roundsPlayed(st) {
+  return st.rounds.filter((r) => r.endedAt).length;
+}
+
+function isMatchDecided(st) {
+  return st.matchWinnerTeamIndex !== null || st.matchTied;
+}
+
+// { winnerTeamIndex: 0 | 1 | null (tie) } once the match is decided, else null (play on)
+function detectMatchOutcome(st) {
+  const needed = requiredWins(st);
+  if (st.roundsWonA >= needed) return { winnerTeamIndex: 0 };
+  if (st.roundsWonB >= needed) return { winnerTeamIndex: 1 };
+
+  // Drawn rounds (or an even bestOf) can use up bestOf without a majority
+  const played = roundsPlayed(st);
+  if (played < st.bestOf) return null;
+  if (st.roundsWonA !== st.roundsWonB) {
+    return { winnerTeamIndex: st.roundsWonA > st.roundsWonB ? 0 : 1 };
+  }
+
+  if (st.match.tiePolicy === "suddenDeath" && played < st.bestOf + SUDDEN_DEATH_MAX_ROUNDS) {
+    return null;
+  }
+  return { winnerTeamIndex: breakTie(st) };
+}
+
+function isSuddenDeathRound(st, roundIndex) {
+  return st.match.tiePolicy === "suddenDeath" && roundIndex > st.bestOf;
+}
+
+function clearMatchOverFallback(session) {
+  const handle = matchOverTimers.get(session?.code);
+  if (handle) clearTimeout(handle);
+  matchOverTimers.delete(session?.code);
+}
+
+// Unity normally follows the deciding roundEnd with gameOver; finalize ourselves if it doesn't
+function armMatchOverFallback(session, delayMs) {
+  const st = ensureState(session);
+  if (matchOverTimers.has(session.code)) return;
+
+  const waitMs =
+    typeof delayMs === "number"
+      ? delayMs
+      : (st.match.roundEndDisplaySeconds + MATCH_OVER_GRACE_SECONDS) * 1000;
+
+  const handle = setTimeout(() => {
+    matchOverTimers.delete(session.code);
+    if (session.phase === "ended") return;
+    finalizeGameAndRecord(session, {
+      reason: "match_won",
+      winnerTeamIndex: st.matchWinnerTeamIndex,
+    }).catch(() => {});
+  }, Math.max(0, waitMs));
+
+  matchOverTimers.set(session.code, handle);
+}
+
+/* ===========================
+   Per-round statistics
+   st.rounds: start/end time, winner, final rope position (Unity roundEnd { ropePosition }
+   or the server sim), taps per player -> gameResult.rounds + record.rounds (with round MVP)
+   + each player's roundTaps.
+=========================== */
+
+function openRoundStats(st, roundIndex) {
+  const last = st.rounds[st.rounds.length - 1];
+  if (last && !last.endedAt && last.roundIndex === roundIndex) return last;
+
+  const round = {
+    roundIndex,
+    startedAt: nowIso(),
+    endedAt: null,
+    durationMs: null,
+    winnerTeamIndex: null,
+    ropePosition: null, // -1 = Team A goal .. 1 = Team B goal
+    tapsByUid: {},
+  };
+  st.rounds.push(round);
+  return round;
+}
+
+// Open round (or null between rounds). Hosts that never send roundLive get round 1 opened
+// on the first counted tap so the record still has per-round data.
+function currentRoundStats(st) {
+  const last = st.rounds[st.rounds.length - 1];
+  if (last && !last.endedAt) return last;
+  if (!last) return openRoundStats(st, st.roundIndex);
+  return null;
+}
+
+function addRoundTaps(st, uid, n) {
+  const round = currentRoundStats(st);
+  if (!round) return;
+  round.tapsByUid[uid] = (round.tapsByUid[uid] || 0) + n;
+}
+
+function closeRoundStats(st, roundIndex, { winnerTeamIndex, ropePosition }) {
+  let round = st.rounds.find((r) => r.roundIndex === roundIndex && !r.endedAt);
+  if (!round) {
+    round = openRoundStats(st, roundIndex);
+    round.startedAt = null; // host never announced the start
+  }
+
+  round.endedAt = nowIso();
+  round.durationMs = round.startedAt ? Date.parse(round.endedAt) - Date.parse(round.startedAt) : null;
+  round.winnerTeamIndex = winnerTeamIndex;
+  round.ropePosition =
+    typeof ropePosition === "number" && Number.isFinite(ropePosition)
+      ? +Math.max(-1, Math.min(1, ropePosition)).toFixed(4)
+      : null;
+}
+
+// Record / result shape (flagged / kicked players can't be MVP)
+function roundSummaries(st) {
+  return st.rounds.map((r) => {
+    let teamATaps = 0;
+    let teamBTaps = 0;
+    let mvp = null;
+
+    for (const [uid, taps] of Object.entries(r.tapsByUid || {})) {
+      const meta = st.playerMetaByUid?.[uid];
+      if (!meta) continue;
+      if (meta.teamIndex === 0) teamATaps += taps;
+      else if (meta.teamIndex === 1) teamBTaps += taps;
+
+      if (meta.flagged || meta.kicked) continue;
+      if (!mvp || taps > mvp.taps) {
+        mvp = { uid, username: meta.name, teamIndex: meta.teamIndex, taps };
+      }
+    }
+
+    return {
+      roundIndex: r.roundIndex,
+      startedAt: r.startedAt,
+      endedAt: r.endedAt,
+      durationMs: r.durationMs,
+      winnerTeamIndex: r.winnerTeamIndex,
+      winningTeam: r.endedAt ? winningTeamLabel(st, r.winnerTeamIndex) : null, // "Tie" = drawn round
+      ropePosition: r.ropePosition,
+      teamATaps,
+      teamBTaps,
+      mvp,
+    };
+  });
+}
+
+// One player's view: [{ roundIndex, taps, result, mvp }]
+function playerRoundStats(st, uid, summaries) {
+  const meta = st.playerMetaByUid?.[uid];
+  return st.rounds.map((r, i) => ({
+    roundIndex: r.roundIndex,
+    taps: r.tapsByUid?.[uid] || 0,
+    result: !r.endedAt
+      ? null
+      : r.winnerTeamIndex === null
+        ? "tie"
+        : meta && meta.teamIndex === r.winnerTeamIndex
+          ? "won"
+          : "lost",
+    mvp: summaries[i]?.mvp?.uid === uid,
+  }));
+}
+
+/* ===========================
+   Round signals (shared by Unity-driven + server-simulated rounds)
+=========================== */
+
+function applyRoundEnd(session, winnerTeamIndex, roundIndex, { ropePosition } = {}) {
+  const st = ensureState(session);
+
+  closeRoundStats(st, roundIndex, { winnerTeamIndex, ropePosition });
+
+  st.lastRoundWinnerTeamIndex = winnerTeamIndex;
+  if (winnerTeamIndex === 0) st.roundsWonA += 1;
+  if (winnerTeamIndex === 1) st.roundsWonB += 1;
+
+  if (!isMatchDecided(st)) {
+    const outcome = detectMatchOutcome(st);
+    if (outcome) {
+      st.matchWinnerTeamIndex = outcome.winnerTeamIndex;
+      st.matchTied = outcome.winnerTeamIndex === null;
+      st.matchDecidedAt = Date.now();
+    }
+  }
+
+  for (const p of Object.values(session.players || {})) {
+    if (!p || !p.ws) continue;
+    const myTeam = p.teamIndex;
+    const result =
+      winnerTeamIndex === null ? "tie" : myTeam === winnerTeamIndex ? "won" : "lost";
+
+    safeSend(p.ws, {
+      type: "roundEnd",
+      ok: true,
+      roundIndex,
+      result,
+      winnerTeamIndex,
+    });
+  }
+
+  broadcastToSpectators(session, {
+    type: "roundEnd",
+    ok: true,
+    roundIndex,
+    winnerTeamIndex,
+    team: winnerTeamIndex === null ? null : teamName(st, winnerTeamIndex),
+    roundsWonA: st.roundsWonA,
+    roundsWonB: st.roundsWonB,
+  });
+}
+
+function broadcastRoundStarting(session, roundIndex, bufferSeconds) {
+  const st = ensureState(session);
+  broadcastToRoom(session, {
+    type: "roundStarting",
+    ok: true,
+    roundIndex,
+    bufferSeconds,
+    suddenDeath: isSuddenDeathRound(st, roundIndex),
+  });
+}
+
+function broadcastRoundLive(session, roundIndex) {
+  broadcastToRoom(session, { type: "roundLive", ok: true, roundIndex });
+}
+
+// Beat clock (rhythm mode): beat 0 is the last phase:"active" or roundLive sent to phones;
+// they restart their own clock on the same messages, late joiners sync from snapshot.beatClockMs
+function startBeatClock(st) {
+  st.beatClockAt = Date.now();
+}
+
+/* ===========================
+   Server-side tug simulation (optional, cfg.simulation / TOW_SERVER_SIMULATION=1)
+   Mirrors GameLogic.FixedUpdate: impulse per tap -> velocity -> damped position,
+   goal hit or round timeout decides the round. The backend decides best-of too and emits
+   roundStarting/roundLive/roundEnd/gameResult itself; Unity round/gameOver signals are
+   ignored and Unity only renders from { type:"sim", event, ... } (or isn't connected at all).
+=========================== */
+
+const SIM_DEFAULTS = {
+  tickMs: 20, // Unity fixedDeltaTime
+  impulsePerTap: 1.0,
+  tapStrengthMultiplier: 1.0,
+  pullToVelocity: 0.015,
+  velocityDamping: 0.9,
+  maxVelocity: 3.0,
+  goalDistance: 5, // rope travel from center to either goal (GameLogic default)
+  roundDurationSeconds: 230,
+  bufferSeconds: 3,
+  roundEndDisplaySeconds: 3,
+  broadcastMs: 100, // sim state -> Unity
+};
+
+// Catch-up cap per tick after event-loop stalls (keeps one tick bounded)
+const SIM_MAX_STEPS_PER_TICK = 25;
+
+// code -> interval handle (kept out of session.state so the state stays journal-safe)
+const simTimers = new Map();
+
+function normalizeSimConfig(raw, cfg) {
+  const envOn = (process.env.TOW_SERVER_SIMULATION || "").trim() === "1";
+  const obj = raw && typeof raw === "object" ? raw : {};
+  // explicit host config wins; env only fills in when unityCreate says nothing
+  const enabled = raw === true || obj.enabled === true || (envOn && raw == null);
+
+  const num = (v, fallback, min, max) => {
+    const n = Number(v);
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+  };
+
+  return {
+    enabled,
+    tickMs: num(obj.tickMs, SIM_DEFAULTS.tickMs, 10, 200),
+    impulsePerTap: num(obj.impulsePerTap, SIM_DEFAULTS.impulsePerTap, 0, 100),
+    tapStrengthMultiplier: num(
+      obj.tapStrengthMultiplier ?? cfg?.tapStrengthMultiplier,
+      SIM_DEFAULTS.tapStrengthMultiplier,
+      0,
+      100
+    ),
+    pullToVelocity: num(obj.pullToVelocity, SIM_DEFAULTS.pullToVelocity, 0, 10),
+    velocityDamping: num(obj.velocityDamping, SIM_DEFAULTS.velocityDamping, 0, 1),
+    maxVelocity: num(obj.maxVelocity, SIM_DEFAULTS.maxVelocity, 0.01, 1000),
+    goalDistance: num(obj.goalDistance, SIM_DEFAULTS.goalDistance, 0.1, 1000),
+    roundDurationSeconds: num(
+      obj.roundDurationSeconds ?? cfg?.roundDurationSeconds,
+      SIM_DEFAULTS.roundDurationSeconds,
+      1,
+      3600
+    ),
+    bufferSeconds: num(obj.bufferSeconds ?? cfg?.bufferSeconds, SIM_DEFAULTS.bufferSeconds, 0, 60),
+    roundEndDisplaySeconds: num(
+      obj.roundEndDisplaySeconds ?? cfg?.roundEndDisplaySeconds,
+      SIM_DEFAULTS.roundEndDisplaySeconds,
+      0,
+      60
+    ),
+    broadcastMs: num(obj.broadcastMs, SIM_DEFAULTS.broadcastMs, 20, 5000),
   };
 }
 
+function isSimEnabled(st) {
+  return !!st?.simulation?.enabled;
+}
+
+function ensureSimState(st) {
+  if (!st.sim || typeof st.sim !== "object") {
+    st.sim = {
+      status: "idle", // "idle" | "live" | "roundEnd" | "buffer" | "done"
+      x: 0, // rope position: -goalDistance = Team A goal, +goalDistance = Team B goal
+      v: 0,
+      pendingA: 0,
+      pendingB: 0,
+      roundTapsA: 0,
+      roundTapsB: 0,
+      roundEndsAt: 0,
+      nextAt: 0,
+      lastStepAt: 0,
+      lastTickAt: 0,
+      lastBroadcastAt: 0,
+    };
+  }
+  return st.sim;
+}
+
+function simToUnity(session, event, extra = {}) {
+  const st = ensureState(session);
+  const sim = ensureSimState(st);
+  broadcastToUnity(session, {
+    type: "sim",
+    event, // "state" | "roundLive" | "roundEnd" | "roundStarting" | "gameOver"
+    status: sim.status,
+    roundIndex: st.roundIndex,
+    rope: +(sim.x / st.simulation.goalDistance).toFixed(4), // -1 (Team A goal) .. 1 (Team B goal)
+    velocity: +sim.v.toFixed(4),
+    roundTapsA: sim.roundTapsA,
+    roundTapsB: sim.roundTapsB,
+    roundsWonA: st.roundsWonA,
+    roundsWonB: st.roundsWonB,
+    msLeft: sim.status === "live" ? Math.max(0, sim.roundEndsAt - Date.now()) : 0,
+    ...extra,
+  });
+}
+
+function simBeginRound(session, now) {
+  const st = ensureState(session);
+  const sim = ensureSimState(st);
+  const cfg = st.simulation;
+
+  sim.status = "live";
+  sim.x = 0;
+  sim.v = 0;
+  sim.pendingA = 0;
+  sim.pendingB = 0;
+  sim.roundTapsA = 0;
+  sim.roundTapsB = 0;
+  sim.lastStepAt = now;
+  sim.roundEndsAt = now + cfg.roundDurationSeconds * 1000;
+
+  openRoundStats(st, st.roundIndex);
+  startBeatClock(st);
+  broadcastRoundLive(session, st.roundIndex);
+  simToUnity(session, "roundLive");
+  notifyStateChanged(session);
+}
+
+function simEndRound(session, winnerTeamIndex, now) {
+  const st = ensureState(session);
+  const sim = ensureSimState(st);
+
+  sim.status = "roundEnd";
+  sim.nextAt = now + st.simulation.roundEndDisplaySeconds * 1000;
+
+  applyRoundEnd(session, winnerTeamIndex, st.roundIndex, {
+    ropePosition: sim.x / st.simulation.goalDistance,
+  });
+  simToUnity(session, "roundEnd", { winnerTeamIndex: winnerTeamIndex ?? -1 }); // -1 = drawn
+  notifyStateChanged(session);
+}
+
+// One fixed step of the rope model (same math as GameLogic.FixedUpdate)
+function simStep(st, sim) {
+  const cfg = st.simulation;
+  const dt = cfg.tickMs / 1000;
+
+  const impulseA = sim.pendingA * cfg.impulsePerTap * cfg.tapStrengthMultiplier;
+  const impulseB = sim.pendingB * cfg.impulsePerTap * cfg.tapStrengthMultiplier;
+  sim.pendingA = 0;
+  sim.pendingB = 0;
+
+  // A pulls toward -x (left goal), B toward +x (right goal)
+  const net = impulseB - impulseA;
+  sim.v += net * cfg.pullToVelocity;
+  sim.v = Math.max(-cfg.maxVelocity, Math.min(cfg.maxVelocity, sim.v));
+  sim.x += sim.v * dt;
+  sim.v *= cfg.velocityDamping;
+  sim.x = Math.max(-cfg.goalDistance, Math.min(cfg.goalDistance, sim.x));
+
+  if (sim.x <= -cfg.goalDistance + 0.0001) return 0;
+  if (sim.x >= cfg.goalDistance - 0.0001) return 1;
+  return null;
+}
+
+function simTick(session) {
+  const st = ensureState(session);
+  const sim = ensureSimState(st);
+  const cfg = st.simulation;
+  const now = Date.now();
+  sim.lastTickAt = now;
+
+  if (session.phase !== "active") return;
+
+  if (sim.status === "live") {
+    const due = Math.floor((now - sim.lastStepAt) / cfg.tickMs);
+    const steps = Math.min(due, SIM_MAX_STEPS_PER_TICK);
+    sim.lastStepAt = due > SIM_MAX_STEPS_PER_TICK ? now : sim.lastStepAt + steps * cfg.tickMs;
+
+    for (let i = 0; i < steps; i++) {
+      const goalWinner = simStep(st, sim);
+      if (goalWinner !== null) {
+        simEndRound(session, goalWinner, now);
+        return;
+      }
+    }
+
+    // Timeout: more round taps wins, equal taps = drawn round (as GameLogic.OnRoundTimeout)
+    if (now >= sim.roundEndsAt) {
+      const timeoutWinner =
+        sim.roundTapsA > sim.roundTapsB ? 0 : sim.roundTapsB > sim.roundTapsA ? 1 : null;
+      simEndRound(session, timeoutWinner, now);
+      return;
+    }
+
+    if (now - sim.lastBroadcastAt >= cfg.broadcastMs) {
+      sim.lastBroadcastAt = now;
+      simToUnity(session, "state");
+    }
+    return;
+  }
+
+  if (sim.status === "roundEnd" && now >= sim.nextAt) {
+    const winnerTeamIndex = st.matchWinnerTeamIndex;
+    if (isMatchDecided(st)) {
+      sim.status = "done";
+      simToUnity(session, "gameOver", { winnerTeamIndex: winnerTeamIndex ?? -1 }); // -1 = tie
+      finalizeGameAndRecord(session, { reason: "server_sim_gameOver", winnerTeamIndex }).catch(() => {});
+      return;
+    }
+
+    st.roundIndex += 1;
+    sim.status = "buffer";
+    sim.nextAt = now + cfg.bufferSeconds * 1000;
+    broadcastRoundStarting(session, st.roundIndex, cfg.bufferSeconds);
+    simToUnity(session, "roundStarting", {
+      bufferSeconds: cfg.bufferSeconds,
+      suddenDeath: isSuddenDeathRound(st, st.roundIndex),
+    });
+    notifyStateChanged(session);
+    return;
+  }
+
+  if (sim.status === "buffer" && now >= sim.nextAt) {
+    simBeginRound(session, now);
+  }
+}
+
+function startSimLoop(session) {
+  const st = ensureState(session);
+  if (simTimers.has(session.code)) return;
+  const handle = setInterval(() => {
+    try {
+      simTick(session);
+    } catch (e) {
+      console.warn(`[truckofwar] sim tick failed for ${session.code}:`, e?.message || e);
+    }
+  }, st.simulation.tickMs);
+  simTimers.set(session.code, handle);
+}
+
+function stopSimLoop(session) {
+  const handle = simTimers.get(session?.code);
+  if (handle) clearInterval(handle);
+  simTimers.delete(session?.code);
+}
+
+// Phase went active: round 1 starts live right away (pre-game buffer is the host's job)
+function startSimulation(session) {
+  const st = ensureState(session);
+  const sim = ensureSimState(st);
+  if (sim.status === "idle") simBeginRound(session, Date.now());
+  startSimLoop(session);
+}
+
+function simAddTaps(st, teamIndex, inc) {
+  const sim = ensureSimState(st);
+  if (sim.status !== "live") return;
+  if (teamIndex === 0) {
+    sim.pendingA += inc;
+    sim.roundTapsA += inc;
+  } else if (teamIndex === 1) {
+    sim.pendingB += inc;
+    sim.roundTapsB += inc;
+  }
+}
+
+/* ===========================
+   Live progress feed
+   Phones declaring the "progress" protocol feature (spectators always) get, while a round
+   is live, { type:"progress", rateA/B (taps/s), roundTapsA/B, tapsA/B, rope } every
+   TOW_PROGRESS_INTERVAL_MS, only when something changed (or 1s passed).
+   rope: Unity { kind:"rope", position:-1..1 } (GameLogic, throttled) or the server sim.
+   Module state only (rates + last rope are throwaway; nothing here is journaled)
+=========================== */
+
+const PROGRESS_INTERVAL_MS = Math.max(100, Number(process.env.TOW_PROGRESS_INTERVAL_MS || 250) || 250);
+const PROGRESS_RATE_WINDOW_MS = 1000;
+const PROGRESS_IDLE_RESEND_MS = 1000;
+
+// code -> { handle, events: [[ts, teamIndex, n]], rope, lastKey, lastSentAt }
+const progressFeeds = new Map();
+
+function progressFeed(session) {
+  let feed = progressFeeds.get(session.code);
+  if (!feed) {
+    feed = { handle: null, events: [], rope: null, lastKey: "", lastSentAt: 0 };
+    progressFeeds.set(session.code, feed);
+  }
+  return feed;
+}
+
+function noteProgressTaps(session, teamIndex, n) {
+  const feed = progressFeeds.get(session.code);
+  if (feed?.handle) feed.events.push([Date.now(), teamIndex, n]);
+}
+
+function noteRopePosition(session, position) {
+  if (typeof position !== "number" || !Number.isFinite(position)) return;
+  progressFeed(session).rope = Math.max(-1, Math.min(1, position));
+}
+
+// The open round (Unity roundLive / sim live), or null between rounds
+function liveRound(st) {
+  if (isSimEnabled(st) && st.sim?.status !== "live") return null;
+  const last = st.rounds[st.rounds.length - 1];
+  return last && !last.endedAt ? last : null;
+}
+
+function buildProgress(session, feed, now) {
+  const st = ensureState(session);
+  const round = liveRound(st);
+  if (!round) return null;
+
+  feed.events = feed.events.filter((e) => now - e[0] < PROGRESS_RATE_WINDOW_MS);
+  let inWindowA = 0;
+  let inWindowB = 0;
+  for (const [, teamIndex, n] of feed.events) {
+    if (teamIndex === 0) inWindowA += n;
+    else if (teamIndex === 1) inWindowB += n;
+  }
+
+  let roundTapsA = 0;
+  let roundTapsB = 0;
+  for (const [uid, taps] of Object.entries(round.tapsByUid || {})) {
+    const teamIndex = st.playerMetaByUid?.[uid]?.teamIndex;
+    if (teamIndex === 0) roundTapsA += taps;
+    else if (teamIndex === 1) roundTapsB += taps;
+  }
+
+  const { teamATaps, teamBTaps } = computeTeamTapTotals(st);
+  const rope = isSimEnabled(st) ? st.sim.x / st.simulation.goalDistance : feed.rope;
+  const perSecond = 1000 / PROGRESS_RATE_WINDOW_MS;
+
+  return {
+    type: "progress",
+    roundIndex: round.roundIndex,
+    rateA: +(inWindowA * perSecond).toFixed(1),
+    rateB: +(inWindowB * perSecond).toFixed(1),
+    roundTapsA,
+    roundTapsB,
+    tapsA: teamATaps,
+    tapsB: teamBTaps,
+    rope: typeof rope === "number" ? +rope.toFixed(3) : null, // -1 Team A goal .. 1 Team B goal
+  };
+}
+
+function progressTick(session) {
+  const feed = progressFeeds.get(session.code);
+  if (!feed || session.phase !== "active") return;
+
+  const now = Date.now();
+  const msg = buildProgress(session, feed, now);
+  if (!msg) return;
+
+  const key = JSON.stringify(msg);
+  if (key === feed.lastKey && now - feed.lastSentAt < PROGRESS_IDLE_RESEND_MS) return;
+  feed.lastKey = key;
+  feed.lastSentAt = now;
+
+  const data = JSON.stringify({ ...msg, at: now });
+  for (const p of Object.values(session.players || {})) {
+    if (!p?.ws || p.ws.readyState !== 1 || !hasFeature(p.ws, "progress")) continue;
+    try {
+      p.ws.send(data);
+    } catch (_) {}
+  }
+
+  // Spectator screens exist to show this; no opt-in needed
+  for (const s of Object.values(session.spectators || {})) {
+    try {
+      if (s.ws && s.ws.readyState === 1) s.ws.send(data);
+    } catch (_) {}
+  }
+}
+
+function startProgressFeed(session) {
+  const feed = progressFeed(session);
+  if (feed.handle) return;
+  feed.handle = setInterval(() => {
+    try {
+      progressTick(session);
+    } catch (e) {
+      console.warn(`[truckofwar] progress tick failed for ${session.code}:`, e?.message || e);
+    }
+  }, PROGRESS_INTERVAL_MS);
+}
+
+function stopProgressFeed(session) {
+  const feed = progressFeeds.get(session?.code);
+  if (feed?.handle) clearInterval(feed.handle);
+  progressFeeds.delete(session?.code);
+}
+
 /* ===========================
    Finalize + broadcast
 =========================== */
@@ -350,21 +1650,28 @@ function buildS3Json(session) {
 async function finalizeGameAndRecord(session, { reason, winnerTeamIndex }) {
   const st = ensureState(session);
 
+  stopSimLoop(session);
+  stopProgressFeed(session);
+  clearMatchOverFallback(session);
+  clearTapWindows(session);
   if (session.phase === "ended") return;
 
   st.winningTeamIndex = resolveWinnerTeamIndex(st, winnerTeamIndex);
+  st.matchTied = st.winningTeamIndex === null;
 
   if (!st.timeEnded) st.timeEnded = nowIso();
   if (!st.timeStarted) st.timeStarted = st.timeEnded;
 
   session.phase = "ended";
 
-  const winningTeam =
-    st.winningTeamIndex === 0 ? "Team A" : st.winningTeamIndex === 1 ? "Team B" : "Unknown";
+  const winningTeam = winningTeamLabel(st, st.winningTeamIndex);
 
   const { list, gtrByNameKey, ttrByNameKey, stateByNameKey } = computeRanks(st, st.winningTeamIndex);
 
+  const prizes = allocatePrizes(session, { list, gtrByNameKey, ttrByNameKey });
+
   const topGtr = list
+    .filter((p) => !p.flagged && !p.kicked)
     .map((p) => ({
       username: p.name,
       gtr: gtrByNameKey[p.nameKey] ?? 0,
@@ -375,39 +1682,56 @@ async function finalizeGameAndRecord(session, { reason, winnerTeamIndex }) {
     })
     .slice(0, 10);
 
-  const winnerTopByTtr = list
-    .filter((p) => p.teamIndex === st.winningTeamIndex)
-    .map((p) => ({
-      username: p.name,
-      ttr: ttrByNameKey[p.nameKey] ?? 0,
-      teamIndex: p.teamIndex,
-      state: "winner",
-    }))
-    .sort((a, b) => {
-      if (a.ttr !== b.ttr) return a.ttr - b.ttr;
-      return String(a.username).localeCompare(String(b.username));
-    })
-    .slice(0, 7);
-
-  const loserTeamIndex = st.winningTeamIndex === 0 ? 1 : st.winningTeamIndex === 1 ? 0 : null;
-  const loserTopByTtr = list
-    .filter((p) => p.teamIndex === loserTeamIndex)
-    .map((p) => ({
-      username: p.name,
-      ttr: ttrByNameKey[p.nameKey] ?? 0,
-      teamIndex: p.teamIndex,
-      state: "loser",
-    }))
-    .sort((a, b) => {
-      if (a.ttr !== b.ttr) return a.ttr - b.ttr;
-      return String(a.username).localeCompare(String(b.username));
-    })
-    .slice(0, 3);
+  const topTeamByTtr = (teamIndex, state, limit) =>
+    list
+      .filter((p) => p.teamIndex === teamIndex && !p.flagged && !p.kicked)
+      .map((p) => ({
+        username: p.name,
+        ttr: ttrByNameKey[p.nameKey] ?? 0,
+        teamIndex: p.teamIndex,
+        state,
+      }))
+      .sort((a, b) => {
+        if (a.ttr !== b.ttr) return a.ttr - b.ttr;
+        return String(a.username).localeCompare(String(b.username));
+      })
+      .slice(0, limit);
 
-  const topByTtr = [...winnerTopByTtr, ...loserTopByTtr];
+  // Winner top 7 + loser top 3; a tie splits the board 5 / 5
+  const loserTeamIndex = st.winningTeamIndex === 0 ? 1 : 0;
+  const topByTtr = st.matchTied
+    ? [...topTeamByTtr(0, "tie", 5), ...topTeamByTtr(1, "tie", 5)]
+    : [
+        ...topTeamByTtr(st.winningTeamIndex, "winner", 7),
+        ...topTeamByTtr(loserTeamIndex, "loser", 3),
+      ];
 
   console.log(`[truckofwar] Top 10 tappers for ${session.code}:`, topGtr);
   console.log(`[truckofwar] Winner/Loser TTR leaderboard for ${session.code}:`, topByTtr);
+  if (prizes.allocations.length || prizes.unfilled.length) {
+    console.log(
+      `[truckofwar] Prizes for ${session.code}:`,
+      prizes.allocations.map((a) => ({ username: a.username, code: a.code, tier: a.voucherTier || a.tier })),
+      prizes.unfilled.length ? `(${prizes.unfilled.length} unfilled: pool exhausted)` : ""
+    );
+  }
+
+  const rounds = roundSummaries(st);
+
+  // Spectator copy of the result (no prize codes); kept for late subscribers
+  st.leaderboard = {
+    type: "leaderboard",
+    ok: true,
+    winningTeam,
+    winningTeamIndex: st.winningTeamIndex ?? -1,
+    winningTeamColor: st.matchTied ? null : teamColor(st, st.winningTeamIndex),
+    roundsWonA: st.roundsWonA,
+    roundsWonB: st.roundsWonB,
+    reason: reason || null,
+    topGtr,
+    topByTtr,
+    roundSummaries: rounds,
+  };
 
   // Cache results by nameKey (stable for resume)
   for (const meta of Object.values(st.playerMetaByUid)) {
@@ -415,15 +1739,20 @@ async function finalizeGameAndRecord(session, { reason, winnerTeamIndex }) {
       uid: meta.uid,
       taps: meta.taps || 0,
       teamIndex: meta.teamIndex,
-      team: meta.teamIndex === 0 ? "Team A" : "Team B",
+      team: teamName(st, meta.teamIndex),
+      teamColor: teamColor(st, meta.teamIndex),
       winningTeam,
+      winningTeamColor: st.matchTied ? null : teamColor(st, st.winningTeamIndex),
       state: stateByNameKey[meta.nameKey] || "loser",
       ttr: ttrByNameKey[meta.nameKey] ?? null,
       gtr: gtrByNameKey[meta.nameKey] ?? null,
+      rounds: playerRoundStats(st, meta.uid, rounds),
+      prize: prizeForUid(st, meta.uid), // { code, tier, label } | null
     };
   }
 
-  broadcastToPlayers(session, { type: "phase", phase: "ended", reason: reason || "ended" });
+  broadcastToRoom(session, { type: "phase", phase: "ended", reason: reason || "ended" });
+  broadcastToSpectators(session, st.leaderboard);
 
   for (const p of Object.values(session.players || {})) {
     const uname = normName(p.username);
@@ -435,47 +1764,113 @@ async function finalizeGameAndRecord(session, { reason, winnerTeamIndex }) {
     safeSend(p.ws, {
       type: "gameResult",
       ok: true,
-      state: result.state, // "winner" | "loser"
+      state: result.state, // "winner" | "loser" | "tie"
       winningTeam: result.winningTeam,
+      winningTeamColor: result.winningTeamColor ?? null,
       team: result.team,
+      teamColor: result.teamColor ?? null,
       teamIndex: result.teamIndex,
       taps: result.taps,
       ttr: result.ttr,
       gtr: result.gtr,
       reason: reason || null,
       topGtr,
+      rounds: result.rounds || [], // this player's taps/result per round
+      roundSummaries: rounds, // winner, duration, rope, MVP per round
+      prize: result.prize ?? null,
     });
   }
 
+  // Ended + results are in; journal now and let the server schedule cleanup
+  notifyGameOver(session);
+
   const jsonObj = buildS3Json(session);
   const bucket = getS3BucketName(session);
   const dt = compactIsoForFilename(jsonObj.timeEnded || nowIso());
   const key = `games/truckofwar/tow${dt}_${session.code}.json`;
 
-  const res = await uploadJsonToS3({ bucket, key, bodyObj: jsonObj });
+  const results = await recordSinks.writeRecord(st.recordSinks, { key, record: jsonObj, bucket });
+  // Failed sinks go to the durable outbox and are retried in the background
+  await recordOutbox.enqueueFailed(results, { key, record: jsonObj, bucket });
+  const saved = results.some((r) => r.ok);
+  st.recordResults = results;
+  notifyStateChanged(session);
 
   broadcastToUnity(session, {
     type: "recordSaved",
-    ok: !!res.ok,
+    ok: saved, // stored by at least one sink
     key,
     bucket: bucket || null,
-    reason: res.ok ? null : res.reason || "unknown",
+    reason: saved ? null : results.map((r) => r.reason).find(Boolean) || "no_sinks",
+    sinks: results, // [{ sink, ok, location, reason, attempts, queued? }]
     endedReason: reason || null,
     winningTeam,
+    winningTeamIndex: st.winningTeamIndex ?? -1, // -1 = tie (names are configurable; match on this)
     topGtr,
     topByTtr,
+    prizes: prizes.allocations, // [{ username, team, rank, tier, code, label }]
+    prizesUnfilled: prizes.unfilled.length,
   });
 }
 
+/* ===========================
+   Payload schemas (validated by server.js via protocol.js, keyed by `kind`)
+=========================== */
+
+const roundIndexSpec = { type: "integer", min: 1, max: 99 };
+// -1 = drawn round / level match (GameLogic sends ints)
+const teamIndexSpec = { type: "integer", min: -1, max: 1 };
+// No plausibility cap here: oversize counts must reach admitTaps (message_cap -> flagged)
+const tapCountSpec = { type: "integer", min: 1, max: Number.MAX_SAFE_INTEGER };
+// beat press times: ms since beat 0 on the phone's clock (a host without rounds: whole game)
+const beatAtSpec = { type: "integer", min: 0, max: 86_400_000 };
+
+const unityPayloadSchemas = {
+  roundEnd: {
+    winnerTeamIndex: teamIndexSpec,
+    roundIndex: roundIndexSpec,
+    ropePosition: { type: "number", min: -1, max: 1 },
+  },
+  roundStarting: { bufferSeconds: { type: "number", min: 0, max: 60 }, roundIndex: roundIndexSpec },
+  roundLive: { roundIndex: roundIndexSpec },
+  phase: { phase: { type: "string", required: true, enum: ["join", "active", "ended"] } },
+  requestSnapshot: {},
+  rope: { position: { type: "number", required: true, min: -1, max: 1 } },
+  gameOver: { winnerTeamIndex: teamIndexSpec },
+};
+
+// roundIndex: set on taps made offline and replayed after a reconnect (webapp)
+const playerPayloadSchemas = {
+  tap: { count: tapCountSpec, amount: tapCountSpec, roundIndex: roundIndexSpec },
+  pull: { count: tapCountSpec, amount: tapCountSpec, roundIndex: roundIndexSpec },
+  click: { count: tapCountSpec, amount: tapCountSpec, roundIndex: roundIndexSpec },
+  // converted input modes (see Input modes)
+  hold: { ms: { type: "integer", required: true, min: 1, max: 2000 }, roundIndex: roundIndexSpec },
+  swipe: { distance: { type: "number", required: true, min: 0, max: 5 }, roundIndex: roundIndexSpec },
+  beat: {
+    at: { type: "array", required: true, maxItems: 16, items: beatAtSpec },
+    roundIndex: roundIndexSpec,
+  },
+};
+
 /* ===========================
    Adapter exports
 =========================== */
 
 module.exports = {
+  // ctx: { onStateChanged(session), onGameOver(session) } (see notifyStateChanged)
+  attachServer(ctx) {
+    serverCtx = ctx || null;
+  },
+
   onInit(cfg) {
-    const bestOf = Number(cfg.bestOf || cfg.best_of || 3) || 3;
+    const match = normalizeMatchConfig(cfg);
     return {
-      bestOf,
+      bestOf: match.bestOf,
+      match, // { bestOf, roundDurationSeconds, bufferSeconds, roundEndDisplaySeconds, tiePolicy }
+      matchWinnerTeamIndex: null,
+      matchTied: false,
+      matchDecidedAt: null,
       teams: [[], []],
 
       // FIX
@@ -493,15 +1888,92 @@ module.exports = {
       winningTeamIndex: null,
       lastRoundWinnerTeamIndex: null,
 
+      tapsAccepted: 0,
+      tapsDropped: 0,
+      tapsRejected: 0,
+
+      // prizes (see Prize allocation); st.prizes is filled once at finalize
+      voucherPool: normalizeVoucherPool(cfg?.voucherPool),
+      prizeRules: normalizePrizeRules(cfg),
+      prizes: null,
+
+      // spectator copy of the final result (see onSpectatorJoin)
+      leaderboard: null,
+
+      // { names:[A, B], colors:[A, B] } (see Team branding)
+      teamBranding: normalizeTeamBranding(cfg),
+
+      // "leastFilled" | "seatPinned" | "playerChoice" (see Team assignment)
+      teamAssignment: normalizeTeamAssignment(cfg),
+
+      // optional server-authoritative rope simulation (see SIM_DEFAULTS)
+      simulation: normalizeSimConfig(cfg?.simulation, {
+        ...match,
+        tapStrengthMultiplier: cfg?.tapStrengthMultiplier,
+      }),
+
+      // { modes:["tap", ...], tuning } (see Input modes)
+      input: normalizeInputConfig(cfg),
+
       timeStarted: "",
       timeEnded: "",
       s3Bucket: (cfg?.s3Bucket || "").toString().trim(),
+      recordSinks: recordSinks.resolveSinkNames(cfg?.recordSinks), // e.g. ["s3", "fs"]
     };
   },
 
   snapshot,
 
-  onPlayerJoin(session, clientId) {
+  unityPayloadSchemas,
+  playerPayloadSchemas,
+
+  // Session rehydrated from the journal after a restart: nobody is connected yet.
+  // Keep meta/taps/ownership (keyed by uid = resumeToken) so playerResume picks them up;
+  // drop the visual roster + clientId maps, which only describe live sockets.
+  onRestore(session) {
+    const st = ensureState(session);
+    st.teams = [[], []];
+    st.uidByClientId = {};
+    st.clientIdByUid = {};
+
+    // Resume a running simulation; shift its clocks past the downtime
+    if (isSimEnabled(st) && session.phase === "active" && st.sim && st.sim.status !== "done") {
+      const now = Date.now();
+      const shift = Math.max(0, now - (st.sim.lastTickAt || now));
+      st.sim.nextAt += shift;
+      st.sim.roundEndsAt += shift;
+      st.sim.lastStepAt = now;
+      startSimLoop(session);
+    }
+
+    if (session.phase === "active") startProgressFeed(session);
+
+    // Match was decided but never finalized: keep waiting for gameOver (remaining time only)
+    if (!isSimEnabled(st) && session.phase !== "ended" && isMatchDecided(st)) {
+      const totalMs = (st.match.roundEndDisplaySeconds + MATCH_OVER_GRACE_SECONDS) * 1000;
+      const elapsed = Date.now() - (st.matchDecidedAt || Date.now());
+      armMatchOverFallback(session, totalMs - elapsed);
+    }
+  },
+
+  // Spectators (server.js "spectate": lobby displays, stream overlays, host tablets) are
+  // read-only: phase, round countdowns, a team-level roundEnd, roster changes, progress and a
+  // final { type:"leaderboard" }; never per-tap messages or voucher codes.
+  // New spectator socket (server.js already sent spectateResult + snapshot)
+  onSpectatorJoin(session, ws) {
+    const st = ensureState(session);
+    if (session.phase === "ended" && st.leaderboard) safeSend(ws, st.leaderboard);
+  },
+
+  // True while the backend itself drives rounds (server.js keeps the session alive
+  // without a Unity host and doesn't tell players the game is paused)
+  runsWithoutHost(session) {
+    const st = ensureState(session);
+    return isSimEnabled(st) && session.phase === "active";
+  },
+
+  // Returns { ok:false, reason } when the player can't be placed (server rejects the join)
+  onPlayerJoin(session, clientId, seatId, opts = {}) {
     const st = ensureState(session);
 
     const p = session.players?.[clientId];
@@ -530,11 +2002,18 @@ module.exports = {
 
     // Assign team:
     // - if existing meta: keep
-    // - else: least-filled
-    let teamIndex =
-      meta && (meta.teamIndex === 0 || meta.teamIndex === 1)
-        ? meta.teamIndex
-        : pickLeastFilledTeamIndex(st);
+    // - else: per teamAssignment mode
+    let teamIndex;
+    if (meta && (meta.teamIndex === 0 || meta.teamIndex === 1)) {
+      teamIndex = meta.teamIndex;
+    } else {
+      const assigned = assignTeamIndex(st, {
+        seat: seatId || p.seat,
+        requestedTeamIndex: opts.requestedTeamIndex,
+      });
+      if (!assigned.ok) return { ok: false, reason: assigned.reason };
+      teamIndex = assigned.teamIndex;
+    }
 
     p.teamIndex = teamIndex;
 
@@ -575,14 +2054,17 @@ module.exports = {
     if (typeof st.tapsByUid[stableUid] !== "number") st.tapsByUid[stableUid] = meta.taps || 0;
 
     // Tell Unity
-    broadcastToUnity(session, {
+    const rosterMsg = {
       type: "playerJoined",
       uid: stableUid,
       username: uname,
       teamIndex,
-      team: teamIndex === 0 ? "Team A" : "Team B",
+      team: teamName(st, teamIndex),
+      teamColor: teamColor(st, teamIndex),
       snapshot: snapshot(session),
-    });
+    };
+    broadcastToUnity(session, rosterMsg);
+    broadcastToSpectators(session, rosterMsg);
 
     // Ack player
     safeSend(p.ws, {
@@ -592,7 +2074,8 @@ module.exports = {
       uid: stableUid,
       username: uname,
       teamIndex,
-      team: teamIndex === 0 ? "Team A" : "Team B",
+      team: teamName(st, teamIndex),
+      teamColor: teamColor(st, teamIndex),
       phase: session.phase,
       snapshot: snapshot(session),
     });
@@ -606,11 +2089,15 @@ module.exports = {
           ok: true,
           state: result.state,
           winningTeam: result.winningTeam,
+          winningTeamColor: result.winningTeamColor ?? null,
           team: result.team,
+          teamColor: result.teamColor ?? null,
           teamIndex: result.teamIndex,
           taps: result.taps,
           ttr: result.ttr,
           gtr: result.gtr,
+          rounds: result.rounds || [],
+          prize: result.prize ?? null,
           reason: "already_ended",
         });
       }
@@ -692,14 +2179,17 @@ module.exports = {
     if (typeof st.tapsByUid[stableUid] !== "number") st.tapsByUid[stableUid] = meta.taps || 0;
 
     // Inform Unity
-    broadcastToUnity(session, {
+    const rosterMsg = {
       type: "playerResumed",
       uid: stableUid,
       username: uname,
       teamIndex,
-      team: teamIndex === 0 ? "Team A" : "Team B",
+      team: teamName(st, teamIndex),
+      teamColor: teamColor(st, teamIndex),
       snapshot: snapshot(session),
-    });
+    };
+    broadcastToUnity(session, rosterMsg);
+    broadcastToSpectators(session, rosterMsg);
 
     // Ack resume
     safeSend(p.ws, {
@@ -709,7 +2199,8 @@ module.exports = {
       uid: stableUid,
       username: uname,
       teamIndex,
-      team: teamIndex === 0 ? "Team A" : "Team B",
+      team: teamName(st, teamIndex),
+      teamColor: teamColor(st, teamIndex),
       phase: session.phase,
       snapshot: snapshot(session),
     });
@@ -723,11 +2214,15 @@ module.exports = {
           ok: true,
           state: result.state,
           winningTeam: result.winningTeam,
+          winningTeamColor: result.winningTeamColor ?? null,
           team: result.team,
+          teamColor: result.teamColor ?? null,
           teamIndex: result.teamIndex,
           taps: result.taps,
           ttr: result.ttr,
           gtr: result.gtr,
+          rounds: result.rounds || [],
+          prize: result.prize ?? null,
           reason: "resume_after_end",
         });
       } else {
@@ -754,12 +2249,31 @@ module.exports = {
     }
 
     // Keep meta + ownership for resume, do NOT delete meta
-    broadcastToUnity(session, {
+    const rosterMsg = {
       type: "playerLeft",
       uid: stableUid || null,
       username: uname || "",
       snapshot: snapshot(session),
-    });
+    };
+    broadcastToUnity(session, rosterMsg);
+    broadcastToSpectators(session, rosterMsg);
+  },
+
+  // server.js kickPlayer (admin): connected or not, the player is out of ranks + prizes.
+  // Meta + taps stay (their pulls already moved the rope) and the name stays taken.
+  onPlayerKicked(session, username, reason) {
+    const st = ensureState(session);
+    const uid = st.uidByNameKey[nameKey(username)];
+    const meta = uid ? st.playerMetaByUid[uid] : null;
+    if (!meta) return;
+
+    meta.kicked = true;
+    meta.kickedAt = nowIso();
+    meta.kickReason = reason || null;
+
+    const roster = st.teams[meta.teamIndex];
+    const idx = Array.isArray(roster) ? roster.indexOf(normName(meta.name)) : -1;
+    if (idx >= 0) roster.splice(idx, 1);
   },
 
   onPlayerMsg(session, clientId, payload) {
@@ -767,19 +2281,63 @@ module.exports = {
     const p = session.players?.[clientId];
     if (!p) return;
 
-    if (session.phase !== "active") return;
-
     if (!payload || typeof payload !== "object") return;
     const kind = String(payload.kind || payload.type || "").toLowerCase();
-    if (kind !== "tap" && kind !== "pull" && kind !== "click") return;
+    const mode = INPUT_KIND_MODES[kind];
+    if (!mode) return;
+
+    // Converted reports aren't taps yet: a dropped one counts as one
+    const inc = mode === "tap" ? Math.max(1, Number(payload.amount || payload.count || 1) || 1) : 1;
+
+    // Modes the room doesn't allow are dropped like out-of-phase taps
+    if (!st.input.modes.includes(mode)) {
+      countTaps(st, "dropped", inc);
+      return;
+    }
+
+    // Taps outside the active phase are dropped (counted for /metrics)
+    if (session.phase !== "active") {
+      countTaps(st, "dropped", inc);
+      return;
+    }
+
+    // Taps replayed after a reconnect carry the round they were made in: that round only,
+    // and only while it's still live (hosts that never send round events can't be checked)
+    if (typeof payload.roundIndex === "number" && st.rounds.length) {
+      const round = liveRound(st);
+      if (!round || round.roundIndex !== payload.roundIndex) {
+        countTaps(st, "dropped", inc);
+        return;
+      }
+    }
 
     const stableUid = st.uidByClientId?.[clientId] || getStableUid(session, clientId);
     const meta = st.playerMetaByUid?.[stableUid];
-    if (!meta) return;
+    if (!meta) {
+      countTaps(st, "dropped", inc);
+      return;
+    }
+
+    const now = Date.now();
+    const requested = mode === "tap" ? inc : convertInput(session, st, stableUid, mode, payload, now);
+    if (!requested) return;
 
-    const inc = Math.max(1, Number(payload.amount || payload.count || 1) || 1);
+    // Converted modes are capped by server time already; overflow is dropped, not flagged
+    const { accepted, rejected, violation } = admitTaps(session, stableUid, requested, now);
+    if (rejected > 0) {
+      countTaps(st, "rejected", rejected);
+      if (violation && mode === "tap") recordTapViolation(session, meta, violation, rejected);
+    }
+    if (!accepted) return;
+
+    countTaps(st, "accepted", accepted);
+    if (!meta.tapsByMode || typeof meta.tapsByMode !== "object") meta.tapsByMode = {};
+    meta.tapsByMode[mode] = (meta.tapsByMode[mode] || 0) + accepted;
+    addRoundTaps(st, stableUid, accepted);
+    if (isSimEnabled(st)) simAddTaps(st, meta.teamIndex, accepted);
+    noteProgressTaps(session, meta.teamIndex, accepted);
 
-    meta.taps = (meta.taps || 0) + inc;
+    meta.taps = (meta.taps || 0) + accepted;
     st.tapsByUid[stableUid] = meta.taps;
 
     broadcastToUnity(session, {
@@ -787,7 +2345,7 @@ module.exports = {
       uid: meta.uid,
       username: meta.name,
       teamIndex: meta.teamIndex,
-      count: inc,
+      count: accepted,
       taps: meta.taps,
     });
   },
@@ -796,6 +2354,10 @@ module.exports = {
     const st = ensureState(session);
     if (!payload || typeof payload !== "object") return;
 
+    // Server simulation owns rounds + match outcome; Unity only renders
+    const simOwned = ["roundEnd", "roundStarting", "roundLive", "gameOver"];
+    if (isSimEnabled(st) && simOwned.includes(payload.kind)) return;
+
     // ROUND SIGNALS
     if (payload.kind === "roundEnd") {
       const winnerTeamIndex =
@@ -805,24 +2367,8 @@ module.exports = {
 
       const roundIndex = typeof payload.roundIndex === "number" ? payload.roundIndex : st.roundIndex;
 
-      st.lastRoundWinnerTeamIndex = winnerTeamIndex;
-      if (winnerTeamIndex === 0) st.roundsWonA += 1;
-      if (winnerTeamIndex === 1) st.roundsWonB += 1;
-
-      for (const p of Object.values(session.players || {})) {
-        if (!p || !p.ws) continue;
-        const myTeam = p.teamIndex;
-        const result =
-          winnerTeamIndex === null ? "lost" : myTeam === winnerTeamIndex ? "won" : "lost";
-
-        safeSend(p.ws, {
-          type: "roundEnd",
-          ok: true,
-          roundIndex,
-          result,
-          winnerTeamIndex,
-        });
-      }
+      applyRoundEnd(session, winnerTeamIndex, roundIndex, { ropePosition: payload.ropePosition });
+      if (isMatchDecided(st)) armMatchOverFallback(session);
       return;
     }
 
@@ -833,18 +2379,16 @@ module.exports = {
 
       st.roundIndex = roundIndex;
 
-      broadcastToPlayers(session, {
-        type: "roundStarting",
-        ok: true,
-        roundIndex,
-        bufferSeconds,
-      });
+      broadcastRoundStarting(session, roundIndex, bufferSeconds);
       return;
     }
 
     if (payload.kind === "roundLive") {
       const roundIndex = typeof payload.roundIndex === "number" ? payload.roundIndex : st.roundIndex;
-      broadcastToPlayers(session, { type: "roundLive", ok: true, roundIndex });
+      st.roundIndex = roundIndex;
+      openRoundStats(st, roundIndex);
+      startBeatClock(st);
+      broadcastRoundLive(session, roundIndex);
       return;
     }
 
@@ -855,16 +2399,28 @@ module.exports = {
       if (phase === "active") {
         session.phase = "active";
         if (!st.timeStarted) st.timeStarted = nowIso();
-        broadcastToPlayers(session, { type: "phase", phase: "active" });
+        startBeatClock(st);
+        broadcastToRoom(session, { type: "phase", phase: "active" });
+        if (isSimEnabled(st)) startSimulation(session);
+        startProgressFeed(session);
       } else if (phase === "join") {
         session.phase = "join";
-        broadcastToPlayers(session, { type: "phase", phase: "join" });
+        stopSimLoop(session);
+        stopProgressFeed(session);
+        clearMatchOverFallback(session);
+        broadcastToRoom(session, { type: "phase", phase: "join" });
       } else if (phase === "ended") {
         finalizeGameAndRecord(session, { reason: "unity_phase_ended", winnerTeamIndex: null }).catch(() => {});
       }
       return;
     }
 
+    // ROPE (live progress feed only; rounds are still decided by roundEnd)
+    if (payload.kind === "rope") {
+      noteRopePosition(session, payload.position);
+      return;
+    }
+
     // SNAPSHOT
     if (payload.kind === "requestSnapshot") {
       safeSend(session.unity?.ws, { type: "state", snapshot: snapshot(session) });
@@ -881,6 +2437,33 @@ module.exports = {
     }
   },
 
+  // /metrics hooks (server sums live sessions per gameType, except perSession samples which get a
+  // code label and vanish with the session; process-wide taps_total is counted in countTaps)
+  sessionMetrics(session) {
+    const st = ensureState(session);
+    const help = "Taps in this live session by result";
+    return [
+      ...Object.entries(TAP_COUNTERS).map(([result, key]) => ({
+        name: "session_taps",
+        type: "gauge",
+        help,
+        perSession: true,
+        labels: { result },
+        value: st[key],
+      })),
+      {
+        name: "flagged_players",
+        type: "gauge",
+        help: "Players flagged by tap plausibility checks (live sessions)",
+        value: flaggedPlayersList(st).length,
+      },
+    ];
+  },
+
+  adapterMetrics() {
+    return recordSinks.sinkMetrics();
+  },
+
   async onForcedEnd(session, info) {
     const reason = info?.reason || "forced_end";
     await finalizeGameAndRecord(session, { reason, winnerTeamIndex: null });
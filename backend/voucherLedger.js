@@ -0,0 +1,91 @@
+// voucherLedger.js
+// Process-wide record of issued voucher codes. control.json voucherPool is static per
+// location, so every session gets the same codes; the ledger makes sure each code is
+// handed out once, ever (across sessions, resumes and restarts).
+//
+// - Append-only JSONL in VOUCHER_LEDGER_FILE (default backend/data/vouchers/issued.jsonl):
+//     { code, gameRoomCode, uid, issuedAt }
+// - Loaded lazily on first use; claim() is synchronous so two sessions finalizing at
+//   the same time can't take the same code.
+
+const fs = require("fs");
+const path = require("path");
+
+const LEDGER_FILE =
+  (process.env.VOUCHER_LEDGER_FILE || "").trim() ||
+  path.join(__dirname, "data", "vouchers", "issued.jsonl");
+
+let issued = null; // code -> { gameRoomCode, uid, issuedAt }
+
+/* ===========================
+   Disk
+=========================== */
+
+function load() {
+  if (issued) return issued;
+  issued = new Map();
+
+  let raw = "";
+  try {
+    raw = fs.readFileSync(LEDGER_FILE, "utf-8");
+  } catch (_) {
+    return issued;
+  }
+
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && entry.code) issued.set(String(entry.code), entry);
+    } catch (_) {
+      // torn last line after a crash; the code it held was never confirmed to anyone
+    }
+  }
+
+  if (issued.size) console.log(`[voucherLedger] ${issued.size} issued voucher(s) in ${LEDGER_FILE}`);
+  return issued;
+}
+
+function append(entry) {
+  try {
+    fs.mkdirSync(path.dirname(LEDGER_FILE), { recursive: true });
+    fs.appendFileSync(LEDGER_FILE, `${JSON.stringify(entry)}\n`, "utf-8");
+  } catch (e) {
+    console.warn(`[voucherLedger] could not persist ${entry.code}:`, e?.message || e);
+  }
+}
+
+/* ===========================
+   Public API
+=========================== */
+
+function isIssued(code) {
+  return load().has(String(code));
+}
+
+// true -> code is now issued to { gameRoomCode, uid }; false -> someone already has it
+function claim(code, { gameRoomCode, uid }) {
+  const key = String(code);
+  if (load().has(key)) return false;
+
+  const entry = {
+    code: key,
+    gameRoomCode: gameRoomCode || null,
+    uid: uid || null,
+    issuedAt: new Date().toISOString(),
+  };
+  issued.set(key, entry);
+  append(entry);
+  return true;
+}
+
+function issuedCount() {
+  return load().size;
+}
+
+module.exports = {
+  LEDGER_FILE,
+  isIssued,
+  claim,
+  issuedCount,
+};
@@ -0,0 +1,545 @@
+"use strict";
+
+const $ = (id) => document.getElementById(id);
+const els = {
+  wsUrl: $("wsUrl"),
+  location: $("location"),
+  hostKey: $("hostKey"),
+  maxPlayers: $("maxPlayers"),
+  bestOf: $("bestOf"),
+  roundSeconds: $("roundSeconds"),
+  bufferSeconds: $("bufferSeconds"),
+  tiePolicy: $("tiePolicy"),
+  teamMode: $("teamMode"),
+  teamAName: $("teamAName"),
+  teamAColor: $("teamAColor"),
+  teamBName: $("teamBName"),
+  teamBColor: $("teamBColor"),
+  simulation: $("simulation"),
+  inputModes: document.querySelectorAll("input[name=inputMode]"),
+  btnCreate: $("btnCreate"),
+  btnReattach: $("btnReattach"),
+  btnClose: $("btnClose"),
+  roomCode: $("roomCode"),
+  phase: $("phase"),
+  playerCount: $("playerCount"),
+  socketState: $("socketState"),
+  teamACard: $("teamACard"),
+  teamBCard: $("teamBCard"),
+  teamATitle: $("teamATitle"),
+  teamBTitle: $("teamBTitle"),
+  roundTapsA: $("roundTapsA"),
+  roundTapsB: $("roundTapsB"),
+  tapsA: $("tapsA"),
+  tapsB: $("tapsB"),
+  roundsWonA: $("roundsWonA"),
+  roundsWonB: $("roundsWonB"),
+  rosterA: $("rosterA"),
+  rosterB: $("rosterB"),
+  roundIndex: $("roundIndex"),
+  roundStatus: $("roundStatus"),
+  timeLeft: $("timeLeft"),
+  ropeMarker: $("ropeMarker"),
+  btnStartGame: $("btnStartGame"),
+  btnStartRound: $("btnStartRound"),
+  btnEndRound: $("btnEndRound"),
+  btnWinA: $("btnWinA"),
+  btnWinB: $("btnWinB"),
+  btnEndMatch: $("btnEndMatch"),
+  resultCard: $("resultCard"),
+  resultTitle: $("resultTitle"),
+  boardTtr: $("boardTtr"),
+  boardGtr: $("boardGtr"),
+  boardPrizes: $("boardPrizes"),
+  log: $("log"),
+};
+
+// Last room this tab hosted (Reattach after a refresh / dropped socket)
+const STORAGE_KEY = "tow.hostConsole";
+
+// How often the console refreshes the timer and reports the rope (host-driven rounds)
+const TICK_MS = 250;
+
+/** @type {WebSocket|null} */
+let ws = null;
+let tickTimer = null;
+let liveTimer = null;
+let matchOverTimer = null;
+
+const room = {
+  code: "",
+  hostToken: "",
+  location: "",
+  phase: "-",
+  snapshot: null,
+};
+
+// Host-driven match state (server simulation reports its own via { type:"sim" })
+const match = {
+  simulation: false,
+  roundIndex: 1,
+  status: "waiting", // "waiting" | "countdown" | "live" | "roundEnd" | "over"
+  roundEndsAt: 0,
+  roundTaps: [0, 0],
+  taps: [0, 0],
+  roundsWon: [0, 0],
+  rope: 0,
+  lastRopeSent: null,
+};
+
+function clampInt(v, min, max, fallback) {
+  const n = Math.floor(Number(v));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+function log(msg) {
+  const ts = new Date().toLocaleTimeString();
+  els.log.textContent = `[${ts}] ${msg}\n` + els.log.textContent;
+}
+
+function send(obj) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+  ws.send(JSON.stringify(obj));
+  return true;
+}
+
+function unityMsg(payload) {
+  if (!room.code) return false;
+  return send({ type: "unityMsg", code: room.code, hostToken: room.hostToken || undefined, payload });
+}
+
+function teamLabel(teamIndex) {
+  const s = room.snapshot;
+  if (teamIndex === 0) return s?.teamA_name || els.teamAName.value || "Team A";
+  if (teamIndex === 1) return s?.teamB_name || els.teamBName.value || "Team B";
+  return "Tie";
+}
+
+function saveRoom() {
+  try {
+    sessionStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({
+        wsUrl: els.wsUrl.value,
+        code: room.code,
+        hostToken: room.hostToken,
+        location: room.location,
+        simulation: match.simulation,
+      })
+    );
+  } catch (_) {}
+}
+
+function loadRoom() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY) || "null");
+  } catch (_) {
+    return null;
+  }
+}
+
+/* ===========================
+   Rendering
+=========================== */
+
+function renderRoster(listEl, names) {
+  listEl.textContent = "";
+  for (const name of names || []) {
+    const li = document.createElement("li");
+    li.textContent = name;
+    listEl.appendChild(li);
+  }
+}
+
+function render() {
+  const s = room.snapshot;
+  els.roomCode.textContent = room.code || "----";
+  els.phase.textContent = room.phase;
+  els.playerCount.textContent = String(s?.playersTotal ?? 0);
+  els.socketState.textContent = ws ? ["connecting", "open", "closing", "closed"][ws.readyState] : "closed";
+
+  els.teamATitle.textContent = teamLabel(0);
+  els.teamBTitle.textContent = teamLabel(1);
+  els.teamACard.style.borderColor = s?.teamA_color || "";
+  els.teamBCard.style.borderColor = s?.teamB_color || "";
+
+  els.roundTapsA.textContent = String(match.roundTaps[0]);
+  els.roundTapsB.textContent = String(match.roundTaps[1]);
+  els.tapsA.textContent = String(match.taps[0]);
+  els.tapsB.textContent = String(match.taps[1]);
+  els.roundsWonA.textContent = String(match.roundsWon[0]);
+  els.roundsWonB.textContent = String(match.roundsWon[1]);
+
+  els.roundIndex.textContent = String(match.roundIndex);
+  els.roundStatus.textContent = match.status;
+  const msLeft = match.status === "live" ? Math.max(0, match.roundEndsAt - Date.now()) : 0;
+  els.timeLeft.textContent = match.status === "live" ? `${Math.ceil(msLeft / 1000)}s` : "-";
+
+  // -1 = Team A goal (left), 1 = Team B goal (right)
+  els.ropeMarker.style.left = `${((match.rope + 1) / 2) * 100}%`;
+
+  refreshButtons();
+}
+
+function refreshButtons() {
+  const hosting = !!room.code && !!ws && ws.readyState === WebSocket.OPEN;
+  const active = room.phase === "active";
+  const manual = hosting && active && !match.simulation;
+  const inRound = match.status === "countdown" || match.status === "live";
+
+  els.btnCreate.disabled = hosting;
+  els.btnReattach.disabled = hosting || !loadRoom()?.code;
+  els.btnStartGame.disabled = !hosting || room.phase !== "join";
+  els.btnStartRound.disabled = !manual || inRound || match.status === "over";
+  els.btnEndRound.disabled = !manual || match.status !== "live";
+  els.btnWinA.disabled = !manual || !inRound;
+  els.btnWinB.disabled = !manual || !inRound;
+  els.btnEndMatch.disabled = !hosting || !active;
+}
+
+function fillBoard(listEl, rows, format) {
+  listEl.textContent = "";
+  for (const row of rows || []) {
+    const li = document.createElement("li");
+    li.textContent = format(row);
+    listEl.appendChild(li);
+  }
+}
+
+function showResult(msg) {
+  const tie = msg.winningTeamIndex === -1;
+  els.resultTitle.textContent = tie ? "Result: tie" : `Result: ${msg.winningTeam} wins`;
+  fillBoard(els.boardTtr, msg.topByTtr, (r) => `${r.username} (${teamLabel(r.teamIndex)}, #${r.ttr})`);
+  fillBoard(els.boardGtr, msg.topGtr, (r) => `${r.username} (#${r.gtr})`);
+  fillBoard(els.boardPrizes, msg.prizes, (p) => `${p.username}: ${p.label || p.tier || "prize"} ${p.code}`);
+  els.resultCard.hidden = false;
+  log(
+    `Record ${msg.ok ? "saved" : "NOT saved"} (${msg.key || "-"})` +
+      (msg.prizesUnfilled ? `, ${msg.prizesUnfilled} prize(s) unfilled` : "")
+  );
+}
+
+/* ===========================
+   Snapshot + inbound messages
+=========================== */
+
+function applySnapshot(s) {
+  if (!s) return;
+  room.snapshot = s;
+  room.phase = s.phase || room.phase;
+  renderRoster(els.rosterA, s.teamAPlayers);
+  renderRoster(els.rosterB, s.teamBPlayers);
+  if (typeof s.roundsWonA === "number") match.roundsWon = [s.roundsWonA, s.roundsWonB || 0];
+}
+
+function onMessage(msg) {
+  switch (msg.type) {
+    case "unityCreated": {
+      if (!msg.ok) {
+        log(`Create failed: ${msg.reason || "unknown"}`);
+        return;
+      }
+      room.code = msg.code;
+      room.hostToken = msg.hostToken || room.hostToken;
+      applySnapshot(msg.snapshot);
+      if (msg.reattached) match.roundIndex = msg.snapshot?.roundIndex || match.roundIndex;
+      saveRoom();
+      els.resultCard.hidden = true;
+      log(`${msg.reattached ? "Reattached to" : "Created"} room ${room.code}`);
+      break;
+    }
+
+    case "playerJoined":
+    case "playerResumed":
+    case "playerLeft":
+      applySnapshot(msg.snapshot);
+      log(`${msg.username || "?"} ${msg.type.replace("player", "").toLowerCase()}`);
+      break;
+
+    case "state":
+      applySnapshot(msg.snapshot);
+      break;
+
+    case "tap": {
+      const t = msg.teamIndex;
+      if (t !== 0 && t !== 1) break;
+      const n = Number(msg.count) || 0;
+      match.taps[t] += n;
+      if (match.status === "live") match.roundTaps[t] += n;
+      break;
+    }
+
+    // Server simulation drives the rounds; mirror its state
+    case "sim": {
+      match.roundIndex = msg.roundIndex || match.roundIndex;
+      match.roundTaps = [msg.roundTapsA || 0, msg.roundTapsB || 0];
+      match.roundsWon = [msg.roundsWonA || 0, msg.roundsWonB || 0];
+      match.rope = typeof msg.rope === "number" ? msg.rope : match.rope;
+      match.status = msg.event === "gameOver" ? "over" : msg.status || match.status;
+      match.roundEndsAt = Date.now() + (msg.msLeft || 0);
+      if (msg.event === "roundEnd") {
+        const w = msg.winnerTeamIndex;
+        log(`Round ${match.roundIndex}: ${w === 0 || w === 1 ? `${teamLabel(w)} wins` : "drawn"}`);
+      }
+      break;
+    }
+
+    case "recordSaved":
+      room.phase = "ended";
+      match.status = "over";
+      showResult(msg);
+      break;
+
+    case "error":
+      log(`Error from ${msg.source || "server"}: ${msg.reason || msg.message || "unknown"}`);
+      break;
+
+    default:
+      break;
+  }
+  render();
+}
+
+/* ===========================
+   Connection
+=========================== */
+
+function connect(url, onOpen) {
+  disconnect();
+  ws = new WebSocket(url);
+
+  ws.onopen = () => {
+    render();
+    onOpen();
+  };
+
+  ws.onmessage = (ev) => {
+    let msg;
+    try { msg = JSON.parse(ev.data); } catch { return; }
+    onMessage(msg);
+  };
+
+  ws.onclose = () => {
+    stopTimers();
+    log("Socket closed (the room stays up for the server's grace period; use Reattach).");
+    render();
+  };
+
+  ws.onerror = () => log("Socket error");
+
+  tickTimer = setInterval(tick, TICK_MS);
+}
+
+function stopTimers() {
+  if (tickTimer) clearInterval(tickTimer);
+  if (liveTimer) clearTimeout(liveTimer);
+  if (matchOverTimer) clearTimeout(matchOverTimer);
+  tickTimer = null;
+  liveTimer = null;
+  matchOverTimer = null;
+}
+
+function disconnect() {
+  stopTimers();
+  if (!ws) return;
+  const old = ws;
+  ws = null;
+  old.onclose = null; // don't let the old socket stop the next connection's timers
+  try { old.close(); } catch (_) {}
+}
+
+function createRoom() {
+  const cfg = {
+    type: "unityCreate",
+    gameType: "truckofwar",
+    location: String(els.location.value || "").trim() || "console",
+    teamCount: 2,
+    allowedNumberOfPlayers: clampInt(els.maxPlayers.value, 1, 10000, 40),
+    hostKey: String(els.hostKey.value || "").trim() || undefined,
+    teamA_name: String(els.teamAName.value || "").trim() || "Team A",
+    teamB_name: String(els.teamBName.value || "").trim() || "Team B",
+    teamA_color: els.teamAColor.value,
+    teamB_color: els.teamBColor.value,
+    teamAssignmentMode: els.teamMode.value,
+    bestOf: clampInt(els.bestOf.value, 1, 15, 3),
+    roundDurationSeconds: clampInt(els.roundSeconds.value, 1, 3600, 30),
+    bufferSeconds: clampInt(els.bufferSeconds.value, 0, 60, 3),
+    tiePolicy: els.tiePolicy.value,
+    simulation: !!els.simulation.checked,
+    inputModes: Array.from(els.inputModes).filter((el) => el.checked).map((el) => el.value),
+  };
+
+  resetMatch(cfg.simulation);
+  room.location = cfg.location;
+  room.code = "";
+  room.hostToken = "";
+  connect(String(els.wsUrl.value || "").trim(), () => send(cfg));
+}
+
+function reattach() {
+  const saved = loadRoom();
+  if (!saved?.code) {
+    log("No room to reattach to.");
+    return;
+  }
+
+  resetMatch(!!saved.simulation);
+  room.code = "";
+  room.hostToken = saved.hostToken || "";
+  room.location = saved.location || "console";
+  if (saved.wsUrl) els.wsUrl.value = saved.wsUrl;
+
+  connect(String(els.wsUrl.value || "").trim(), () =>
+    send({
+      type: "unityCreate",
+      gameType: "truckofwar",
+      location: room.location,
+      teamCount: 2,
+      allowedNumberOfPlayers: clampInt(els.maxPlayers.value, 1, 10000, 40),
+      requestedCode: saved.code,
+      hostToken: saved.hostToken || undefined,
+      hostKey: String(els.hostKey.value || "").trim() || undefined,
+    })
+  );
+}
+
+/* ===========================
+   Host-driven rounds
+=========================== */
+
+function resetMatch(simulation) {
+  match.simulation = simulation;
+  match.roundIndex = 1;
+  match.status = "waiting";
+  match.roundEndsAt = 0;
+  match.roundTaps = [0, 0];
+  match.taps = [0, 0];
+  match.roundsWon = [0, 0];
+  match.rope = 0;
+  match.lastRopeSent = null;
+  els.resultCard.hidden = true;
+}
+
+function startGame() {
+  if (!unityMsg({ kind: "phase", phase: "active" })) return;
+  room.phase = "active";
+  log(match.simulation ? "Game started (backend runs the rounds)." : "Game started.");
+  render();
+}
+
+function startRound() {
+  if (match.simulation || match.status === "countdown" || match.status === "live") return;
+
+  const snap = room.snapshot || {};
+  const bufferSeconds = Number(snap.bufferSeconds ?? els.bufferSeconds.value) || 0;
+  const roundIndex = match.roundIndex;
+
+  match.roundTaps = [0, 0];
+  match.rope = 0;
+  match.status = "countdown";
+  unityMsg({ kind: "roundStarting", roundIndex, bufferSeconds });
+  log(`Round ${roundIndex} starting in ${bufferSeconds}s`);
+
+  liveTimer = setTimeout(() => {
+    liveTimer = null;
+    const durationSeconds = Number(snap.roundDurationSeconds ?? els.roundSeconds.value) || 30;
+    match.status = "live";
+    match.roundEndsAt = Date.now() + durationSeconds * 1000;
+    unityMsg({ kind: "roundLive", roundIndex });
+    render();
+  }, bufferSeconds * 1000);
+
+  render();
+}
+
+// winnerTeamIndex: 0 | 1, or null = decide by round taps (level -> drawn round, -1)
+function endRound(winnerTeamIndex) {
+  if (match.simulation || (match.status !== "live" && match.status !== "countdown")) return;
+  if (liveTimer) clearTimeout(liveTimer);
+  liveTimer = null;
+
+  let winner = winnerTeamIndex;
+  if (winner !== 0 && winner !== 1) {
+    const [a, b] = match.roundTaps;
+    winner = a > b ? 0 : b > a ? 1 : -1;
+  }
+
+  const roundIndex = match.roundIndex;
+  unityMsg({ kind: "roundEnd", winnerTeamIndex: winner, roundIndex, ropePosition: match.rope });
+  if (winner === 0 || winner === 1) match.roundsWon[winner] += 1;
+  log(`Round ${roundIndex}: ${winner === -1 ? "drawn" : `${teamLabel(winner)} wins`}`);
+
+  match.roundIndex += 1;
+  match.status = "roundEnd";
+
+  if (isMatchDecided()) {
+    match.status = "over";
+    const displaySeconds = Number(room.snapshot?.roundEndDisplaySeconds ?? 3) || 0;
+    matchOverTimer = setTimeout(endMatch, displaySeconds * 1000);
+  }
+  render();
+}
+
+// Mirrors the backend's best-of / tie policy; the backend still has the final say
+function isMatchDecided() {
+  const snap = room.snapshot || {};
+  const bestOf = Number(snap.bestOf) || 3;
+  const winsNeeded = Number(snap.winsNeeded) || Math.floor(bestOf / 2) + 1;
+  const [a, b] = match.roundsWon;
+  const played = match.roundIndex - 1;
+
+  if (a >= winsNeeded || b >= winsNeeded) return true;
+  if (played < bestOf) return false;
+  if (snap.tiePolicy !== "suddenDeath") return true;
+  return a !== b || played >= bestOf + 3; // sudden death gives up after 3 extra rounds
+}
+
+function endMatch() {
+  if (matchOverTimer) clearTimeout(matchOverTimer);
+  matchOverTimer = null;
+  if (room.phase !== "active") return;
+
+  match.status = "over";
+  if (match.simulation) {
+    // Simulated matches ignore host gameOver; ending the phase finalizes them
+    unityMsg({ kind: "phase", phase: "ended" });
+  } else {
+    const [a, b] = match.roundsWon;
+    unityMsg({ kind: "gameOver", winnerTeamIndex: a > b ? 0 : b > a ? 1 : -1 });
+  }
+  log("Match over, waiting for the record...");
+  render();
+}
+
+// Rope estimate for the phones' tug bar: round tap share, -1 (Team A) .. 1 (Team B)
+function tick() {
+  if (!match.simulation && match.status === "live") {
+    const [a, b] = match.roundTaps;
+    match.rope = a + b > 0 ? (b - a) / (a + b) : 0;
+
+    const rounded = Math.round(match.rope * 100) / 100;
+    if (rounded !== match.lastRopeSent) {
+      match.lastRopeSent = rounded;
+      unityMsg({ kind: "rope", position: rounded });
+    }
+
+    if (Date.now() >= match.roundEndsAt) endRound(null);
+  }
+  render();
+}
+
+els.btnCreate.addEventListener("click", createRoom);
+els.btnReattach.addEventListener("click", reattach);
+els.btnClose.addEventListener("click", () => {
+  disconnect();
+  render();
+});
+els.btnStartGame.addEventListener("click", startGame);
+els.btnStartRound.addEventListener("click", startRound);
+els.btnEndRound.addEventListener("click", () => endRound(null));
+els.btnWinA.addEventListener("click", () => endRound(0));
+els.btnWinB.addEventListener("click", () => endRound(1));
+els.btnEndMatch.addEventListener("click", endMatch);
+
+render();
@@ -53,6 +53,7 @@ public class BackendConnector : MonoBehaviour
     private bool _connected = false;
 
     private string _sessionCode = ""; // set after unityCreated ok
+    private string _hostToken = "";   // set after unityCreated ok (signed by backend, sent on every unityMsg)
 
     /* ============================
        Public events (Initializer/GameLogic/Spawner listen to these)
@@ -74,6 +75,7 @@ public class BackendConnector : MonoBehaviour
     public event Action<TowPausedMsg> OnTowPaused;
     public event Action<TowEndedMsg> OnTowEnded;
     public event Action<TowRecordSavedMsg> OnTowRecordSaved;
+    public event Action<TowSimMsg> OnTowSim; // server-authoritative rope (simulation enabled)
 
     /* ============================
        Message DTOs
@@ -87,7 +89,45 @@ public class BackendConnector : MonoBehaviour
         public string location;
         public int teamCount = 2;
         public int allowedNumberOfPlayers;
-        public string requestedCode;
+        public string requestedCode;  // empty -> backend generates one
+        public int roomCodeLength = 4; // used when backend generates the code
+        public string hostKey;   // per-location shared secret (control.json)
+        public string hostToken; // optional: previous session token (reattach)
+        public bool simulation;  // true -> backend runs the rope + rounds, Unity only renders
+
+        // Team assignment: "leastFilled" | "seatPinned" | "playerChoice"
+        public string teamAssignmentMode = "leastFilled";
+        public string[] teamA_playerSeat; // seatPinned: "F12", "F1-F12", "F*"
+        public string[] teamB_playerSeat;
+        public int teamCapacity;          // playerChoice: 0 -> half of allowedNumberOfPlayers
+        public string[] recordSinks;      // "s3" | "fs" | "webhook" (empty -> backend default)
+
+        // Prizes: voucher codes (backend also takes { code, tier, label }); rules or legacy top-N tiers
+        public string[] voucherPool;
+        public PrizeRule[] prizeRules;
+        public int winTopUnderStart;
+        public int winTopUnderMax;
+
+        // Team branding (backend defaults: "Team A" / "Team B", no colour)
+        public string teamA_name;
+        public string teamB_name;
+        public string teamA_color;        // "#RRGGBB"
+        public string teamB_color;
+
+        // Match config (backend validates + reports it back in the snapshot)
+        public int bestOf = 3;
+        public float roundDurationSeconds = 230f;
+        public float bufferSeconds = 3f;
+        public float roundEndDisplaySeconds = 3f;
+        public string tiePolicy = "taps"; // "allow" | "taps" | "suddenDeath"
+
+        // Phone input mechanics: "tap" | "hold" | "swipe" | "rhythm" (empty -> backend ["tap"])
+        public string[] inputModes;
+        public InputTuning inputTuning;   // null -> backend defaults
+
+        // Protocol negotiation (first message on the socket; backend replies { type:"protocol" })
+        public int protocolVersion = 2;
+        public string[] features = { "resume", "roundEvents" };
     }
 
     [Serializable]
@@ -95,6 +135,7 @@ public class BackendConnector : MonoBehaviour
     {
         public string type = "unityMsg";
         public string code;
+        public string hostToken;
         public object payload;
     }
 
@@ -107,6 +148,45 @@ public class BackendConnector : MonoBehaviour
         public bool reattached;
         public string reason;
         public object snapshot;
+        public string hostToken;
+    }
+
+    // Server-side rejection (protocol validation / auth)
+    [Serializable]
+    public class ServerErrorMsg
+    {
+        public string type;    // "error"
+        public string reason;  // "invalid_message" | "unauthorized"
+        public string source;  // message type that was rejected (e.g. "unityCreate", "unityMsg")
+        public string kind;    // payload kind (unityMsg)
+        public string path;    // offending field, e.g. "allowedNumberOfPlayers" / "payload.phase"
+        public string message;
+    }
+
+    // control.json prizeRules entry (truckofwar.js normalizePrizeRules)
+    [Serializable]
+    public class PrizeRule
+    {
+        public string tier;            // takes vouchers of this tier first, then untiered ones
+        public string team = "winner"; // "winner" | "loser" | "any"
+        public string by = "ttr";      // "ttr" | "gtr"
+        public int from = 1;
+        public int to = 7;
+    }
+
+    // control.json inputTuning (truckofwar.js normalizeInputConfig; defaults match the backend)
+    [Serializable]
+    public class InputTuning
+    {
+        public float holdTapsPerSecond = 8f;
+        public float swipeTapsPerScreen = 3f;
+        public float swipeMaxScreensPerSecond = 3f;
+        public float rhythmBpm = 120f;
+        public float rhythmPerfectMs = 70f;
+        public float rhythmGoodMs = 150f;
+        public float rhythmPerfectTaps = 5f;
+        public float rhythmGoodTaps = 3f;
+        public float maxReportGapMs = 1000f;
     }
 
     // Adapter messages (truckofwar.js)
@@ -117,7 +197,8 @@ public class BackendConnector : MonoBehaviour
         public string uid;
         public string username;
         public int teamIndex;
-        public string team;
+        public string team;      // configured team name
+        public string teamColor; // "#RRGGBB" or null
         public object snapshot;
     }
 
@@ -129,6 +210,7 @@ public class BackendConnector : MonoBehaviour
         public string username;
         public int teamIndex;
         public string team;
+        public string teamColor;
         public object snapshot;
     }
 
@@ -184,6 +266,31 @@ public class BackendConnector : MonoBehaviour
         public string state;
     }
 
+    // One voucher handed out at finalize (truckofwar.js allocatePrizes)
+    [Serializable]
+    public class TowPrizeAllocation
+    {
+        public string username;
+        public string team;
+        public int teamIndex;
+        public string by;    // "ttr" | "gtr"
+        public int rank;
+        public string tier;  // rule tier (may be null)
+        public string code;
+        public string label;
+    }
+
+    [Serializable]
+    public class TowRecordSinkResult
+    {
+        public string sink;     // "fs" | "webhook" | "s3"
+        public bool ok;
+        public string location; // file path / URL / s3://bucket/key
+        public string reason;
+        public int attempts;
+        public bool queued;     // failed but kept in the backend outbox for retry
+    }
+
     [Serializable]
     public class TowRecordSavedMsg
     {
@@ -193,9 +300,32 @@ public class BackendConnector : MonoBehaviour
         public string bucket;
         public string reason;
         public string endedReason;
-        public string winningTeam;
+        public string winningTeam;          // configured team name or "Tie"
+        public int winningTeamIndex = -1;   // -1 = tie
+        public TowRecordSinkResult[] sinks;
         public TowTopTapper[] topGtr;
         public TowTopTapper[] topByTtr;
+        public TowPrizeAllocation[] prizes;
+        public int prizesUnfilled; // winners left without a voucher (pool exhausted)
+    }
+
+    // Server simulation frame / round event (truckofwar.js simToUnity)
+    [Serializable]
+    public class TowSimMsg
+    {
+        public string type;   // "sim"
+        public string @event; // "state" | "roundLive" | "roundEnd" | "roundStarting" | "gameOver"
+        public string status; // "live" | "roundEnd" | "buffer" | "done"
+        public int roundIndex;
+        public float rope;    // -1 (Team A goal) .. 1 (Team B goal)
+        public float velocity;
+        public int roundTapsA;
+        public int roundTapsB;
+        public int roundsWonA;
+        public int roundsWonB;
+        public int msLeft;
+        public int winnerTeamIndex = -1; // roundEnd / gameOver
+        public float bufferSeconds;      // roundStarting
     }
 
     // Generic wrapper to quickly read "type"
@@ -300,11 +430,9 @@ public class BackendConnector : MonoBehaviour
     public void SendUnityCreate(UnityCreateMsg msg)
     {
         if (msg == null) return;
-        if (string.IsNullOrWhiteSpace(msg.requestedCode))
-        {
-            Debug.LogError("[BackendConnector] unityCreate missing requestedCode");
-            return;
-        }
+        if (string.IsNullOrWhiteSpace(msg.hostToken) && !string.IsNullOrWhiteSpace(_hostToken))
+            msg.hostToken = _hostToken;
+        // requestedCode may be empty: backend generates one and returns it in unityCreated.code
         SendJson(msg);
     }
 
@@ -350,6 +478,7 @@ public class BackendConnector : MonoBehaviour
         {
             type = "unityMsg",
             code = roomCode,
+            hostToken = _hostToken,
             payload = payload
         };
 
@@ -417,10 +546,25 @@ public class BackendConnector : MonoBehaviour
                     }
 
                     _sessionCode = m.code ?? _sessionCode;
+                    _hostToken = m.hostToken ?? _hostToken;
                     OnUnityCreated?.Invoke(_sessionCode, m.reattached);
                     return;
                 }
 
+            // Server rejected something we sent
+            case "error":
+                {
+                    var m = JsonConvert.DeserializeObject<ServerErrorMsg>(json);
+                    if (m == null) return;
+
+                    Debug.LogError($"[BackendConnector] Server rejected {m.source} ({m.reason}): {m.message}");
+
+                    // A rejected unityCreate means no session: surface it like unityCreated ok:false
+                    if (m.source == "unityCreate")
+                        OnUnityError?.Invoke($"{m.reason}: {m.message}");
+                    return;
+                }
+
             // TruckOfWar adapter messages to Unity
             case "playerJoined":
                 {
@@ -485,6 +629,14 @@ public class BackendConnector : MonoBehaviour
                     OnTowRecordSaved?.Invoke(m);
                     return;
                 }
+
+            case "sim":
+                {
+                    var m = JsonConvert.DeserializeObject<TowSimMsg>(json);
+                    if (m == null) return;
+                    OnTowSim?.Invoke(m);
+                    return;
+                }
         }
 
         // Unknown message type: ignore (keeps it independent)
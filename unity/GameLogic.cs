@@ -11,6 +11,13 @@
 // Notes:
 // - Backend is authoritative for counting taps + final win/lose pages.
 // - Unity can still ignore taps during buffer/intermission even if backend forwards them.
+// - serverSimulation (control.json): backend runs the rope + rounds + best-of itself.
+//   GameLogic then only renders from backend { type:"sim" } messages (OnServerSim) and
+//   skips its own physics, goal/timeout checks and round signals.
+// - Ties: a timed-out round with equal round taps is drawn (roundEnd winnerTeamIndex -1).
+//   After totalRounds without a majority: leader wins, else tiePolicy "suddenDeath" plays up
+//   to SuddenDeathMaxRounds extra rounds; otherwise gameOver goes out with -1 and the backend
+//   applies the policy ("allow" = tie, "taps" = more total taps).
 // - Initializer handles initial lobby timer + initial buffer before first round.
 //   GameLogic handles ONLY gameplay + between-round reset buffer.
 //
@@ -55,12 +62,19 @@ public class GameLogic : MonoBehaviour
 
         public int totalRounds = 3; // best-of (odd recommended)
 
+        public string tiePolicy = "taps"; // "allow" | "taps" | "suddenDeath"
+
+        public string teamA_name = "";
+        public string teamB_name = "";
+
         public float tapStrengthMultiplier = 1.0f;
 
         public bool allowLateJoin = true;
 
         public bool recordGameData = true;
 
+        public bool serverSimulation = false;
+
         public string backendWsUrl = "wss://api.prologuebymetama.com/ws";
     }
 
@@ -110,6 +124,10 @@ public class GameLogic : MonoBehaviour
 
     [SerializeField] private Initializer initializer;
 
+    [Header("Live Progress (phones)")]
+    [Tooltip("How often the rope position is reported to the backend during a round (phones' tug bar).")]
+    [SerializeField] private float ropeReportIntervalSeconds = 0.2f;
+
     [Header("Optional UI")]
     [SerializeField] private Text phaseText;
     [SerializeField] private Text roundText;
@@ -126,11 +144,18 @@ public class GameLogic : MonoBehaviour
     private int _winsA = 0;
     private int _winsB = 0;
 
+    // Keep in sync with backend SUDDEN_DEATH_MAX_ROUNDS
+    private const int SuddenDeathMaxRounds = 3;
+
     private float _bufferEndsAt = 0f;
     private float _roundEndsAt = 0f;
     private float _roundEndDisplayEndsAt = 0f;
     private bool _roundEndDisplayActive = false;
 
+    // rope reports (unityMsg kind:"rope")
+    private float _nextRopeReportAt = 0f;
+    private float _lastReportedRope = float.NaN;
+
     // marker motion
     private float _startX = 0f;
     private float _markerX = 0f;
@@ -182,9 +207,13 @@ public class GameLogic : MonoBehaviour
             lobbyDurationSeconds = cfgFromInitializer.lobbyDurationSeconds,
             allowManualStartKey = cfgFromInitializer.allowManualStartKey,
             totalRounds = cfgFromInitializer.totalRounds,
+            tiePolicy = cfgFromInitializer.tiePolicy,
+            teamA_name = cfgFromInitializer.teamA_name,
+            teamB_name = cfgFromInitializer.teamB_name,
             tapStrengthMultiplier = cfgFromInitializer.tapStrengthMultiplier,
             allowLateJoin = cfgFromInitializer.allowLateJoin,
             recordGameData = cfgFromInitializer.recordGameData,
+            serverSimulation = cfgFromInitializer.serverSimulation,
             backendWsUrl = cfgFromInitializer.backendWsUrl
         };
     }
@@ -216,6 +245,16 @@ public class GameLogic : MonoBehaviour
         return Mathf.Max(0, bufferCountdownSeconds);
     }
 
+    public int GetRoundDurationSeconds()
+    {
+        return Mathf.Max(1, roundDurationSeconds);
+    }
+
+    public float GetRoundEndDisplaySeconds()
+    {
+        return Mathf.Max(0f, roundEndDisplaySeconds);
+    }
+
     /* ============================
        From Initializer when players join (optional)
     ============================ */
@@ -243,7 +282,39 @@ public class GameLogic : MonoBehaviour
     {
         { "kind", "roundEnd" },
         { "winnerTeamIndex", winnerTeamIndex },
-        { "roundIndex", roundIndex }
+        { "roundIndex", roundIndex },
+        { "ropePosition", GetNormalizedRopePosition() } // per-round stats (backend record)
+    };
+
+        backend.SendUnityMsg(_roomCode, payload);
+    }
+
+    // -1 = marker on Team A goal (left), 0 = center, 1 = Team B goal (right)
+    private float GetNormalizedRopePosition()
+    {
+        float leftX = goalLeftTransform ? goalLeftTransform.position.x : _startX - 5f;
+        float rightX = goalRightTransform ? goalRightTransform.position.x : _startX + 5f;
+        float half = (rightX - leftX) * 0.5f;
+        if (Mathf.Approximately(half, 0f)) return 0f;
+
+        float center = (leftX + rightX) * 0.5f;
+        return Mathf.Clamp((_markerX - center) / half, -1f, 1f);
+    }
+
+    // Throttled; skipped while the marker sits still (backend relays it in the phones' progress feed)
+    private void ReportRopePosition()
+    {
+        if (backend == null || Time.time < _nextRopeReportAt) return;
+        _nextRopeReportAt = Time.time + Mathf.Max(0.05f, ropeReportIntervalSeconds);
+
+        float position = GetNormalizedRopePosition();
+        if (!float.IsNaN(_lastReportedRope) && Mathf.Abs(position - _lastReportedRope) < 0.005f) return;
+        _lastReportedRope = position;
+
+        var payload = new Dictionary<string, object>
+    {
+        { "kind", "rope" },
+        { "position", position }
     };
 
         backend.SendUnityMsg(_roomCode, payload);
@@ -304,6 +375,69 @@ public class GameLogic : MonoBehaviour
         }
     }
 
+    /* ============================
+       From BackendConnector sim events (serverSimulation)
+    ============================ */
+
+    public void OnServerSim(BackendConnector.TowSimMsg msg)
+    {
+        if (msg == null || !IsServerAuthoritative()) return;
+        if (_phase == Phase.Ended || _phase == Phase.None || _phase == Phase.Lobby) return;
+
+        _roundIndex = Mathf.Max(1, msg.roundIndex);
+        _winsA = msg.roundsWonA;
+        _winsB = msg.roundsWonB;
+        _roundTapA = msg.roundTapsA;
+        _roundTapB = msg.roundTapsB;
+
+        switch (msg.@event)
+        {
+            case "roundLive":
+                ResetMarkerToCenter();
+                HideRoundEndObjects();
+                HideSharedCountdown();
+                _roundEndDisplayActive = false;
+                SetPhase(Phase.RoundActive);
+                break;
+
+            case "roundEnd":
+                SetPhase(Phase.RoundIntermission);
+                ShowRoundEndObject(msg.winnerTeamIndex);
+                _roundEndDisplayActive = true;
+                break;
+
+            case "roundStarting":
+                HideRoundEndObjects();
+                _roundEndDisplayActive = false;
+                _bufferEndsAt = Time.time + Mathf.Max(0f, msg.bufferSeconds);
+                ShowSharedCountdown();
+                break;
+
+            case "gameOver":
+                // Backend already decided + recorded the match; just close our side
+                SetPhase(Phase.Ended);
+                if (backend != null) backend.SendUnityPhase(_roomCode, "ended");
+                break;
+        }
+
+        // Rope: -1 = Team A goal (left), 1 = Team B goal (right)
+        float leftX = goalLeftTransform ? goalLeftTransform.position.x : _startX - 5f;
+        float rightX = goalRightTransform ? goalRightTransform.position.x : _startX + 5f;
+        float center = (leftX + rightX) * 0.5f;
+        float half = Mathf.Abs(rightX - leftX) * 0.5f;
+        float dir = rightX >= leftX ? 1f : -1f;
+
+        _markerX = center + Mathf.Clamp(msg.rope, -1f, 1f) * half * dir;
+        _markerV = msg.velocity;
+
+        UpdateUI();
+    }
+
+    private bool IsServerAuthoritative()
+    {
+        return _cfg != null && _cfg.serverSimulation;
+    }
+
     /* ============================
        Unity loops
     ============================ */
@@ -312,6 +446,13 @@ public class GameLogic : MonoBehaviour
     {
         UpdateMarkerVisual();
 
+        // Backend drives rounds; only keep the between-round countdown ticking
+        if (IsServerAuthoritative())
+        {
+            if (_phase == Phase.RoundIntermission && !_roundEndDisplayActive) ShowSharedCountdown();
+            return;
+        }
+
         if (_phase == Phase.Buffer)
         {
             if (Time.time >= _bufferEndsAt)
@@ -346,6 +487,8 @@ public class GameLogic : MonoBehaviour
             UpdateUI();
         }
 
+        if (_phase == Phase.RoundActive) ReportRopePosition();
+
         if (_phase == Phase.RoundActive && Time.time >= _roundEndsAt)
         {
             OnRoundTimeout();
@@ -356,6 +499,7 @@ public class GameLogic : MonoBehaviour
     private void FixedUpdate()
     {
         if (_phase != Phase.RoundActive) return;
+        if (IsServerAuthoritative()) return;
 
         // Convert pending taps into net impulse
         float mult = (_cfg != null) ? _cfg.tapStrengthMultiplier : 1.0f;
@@ -470,7 +614,8 @@ public class GameLogic : MonoBehaviour
 
         SetPhase(Phase.RoundActive);
         // NEW: tell web apps the round is now live (enable taps after buffer)
-        SendRoundLive(_roundIndex);
+        // (server simulation emits its own roundLive)
+        if (!IsServerAuthoritative()) SendRoundLive(_roundIndex);
         UpdateUI();
     }
 
@@ -479,7 +624,8 @@ public class GameLogic : MonoBehaviour
     {
         if (_phase != Phase.RoundActive) return;
 
-        int winnerTeamIndex = _roundTapA >= _roundTapB ? 0 : 1;
+        // Equal round taps = drawn round (no Team A fallback)
+        int winnerTeamIndex = _roundTapA > _roundTapB ? 0 : _roundTapB > _roundTapA ? 1 : -1;
         OnRoundWin(winnerTeamIndex);
     }
 
@@ -518,12 +664,13 @@ public class GameLogic : MonoBehaviour
         }
     }
 
+    // winnerTeamIndex -1 = drawn round (nobody scores)
     private void OnRoundWin(int winnerTeamIndex)
     {
         if (_phase != Phase.RoundActive) return;
 
         if (winnerTeamIndex == 0) _winsA++;
-        else _winsB++;
+        else if (winnerTeamIndex == 1) _winsB++;
 
         // NEW: round ended, notify backend so each player sees WON/LOST popup
         SendRoundEnd(winnerTeamIndex, _roundIndex);
@@ -591,7 +738,26 @@ public class GameLogic : MonoBehaviour
         // Best-of should usually be odd. Required wins:
         int needed = (bestOf / 2) + 1;
 
-        return _winsA >= needed || _winsB >= needed;
+        if (_winsA >= needed || _winsB >= needed) return true;
+
+        // Drawn rounds / even best-of: after bestOf rounds the leader wins, level -> tiePolicy
+        int played = _roundIndex - 1;
+        if (played < bestOf) return false;
+        if (_winsA != _winsB) return true;
+        return !IsSuddenDeathPolicy() || played >= bestOf + SuddenDeathMaxRounds;
+    }
+
+    // Configured team name (control.json teamA_name / teamB_name), upper-cased for the HUD
+    private string GetTeamLabel(int teamIndex)
+    {
+        string name = _cfg == null ? null : (teamIndex == 0 ? _cfg.teamA_name : _cfg.teamB_name);
+        if (string.IsNullOrWhiteSpace(name)) name = teamIndex == 0 ? "Team A" : "Team B";
+        return name.Trim().ToUpperInvariant();
+    }
+
+    private bool IsSuddenDeathPolicy()
+    {
+        return _cfg != null && _cfg.tiePolicy == "suddenDeath";
     }
 
     private int GetMatchWinnerTeamIndex()
@@ -612,7 +778,7 @@ public class GameLogic : MonoBehaviour
         // Tell backend the match is over (backend will compute winners/losers + record S3)
         if (backend != null)
         {
-            backend.SendUnityGameOver(_roomCode, winner < 0 ? 0 : winner); // fallback to Team A if tie (shouldn't happen in best-of odd)
+            backend.SendUnityGameOver(_roomCode, winner); // -1 = level; backend applies tiePolicy
             backend.SendUnityPhase(_roomCode, "ended");
         }
 
@@ -637,10 +803,12 @@ public class GameLogic : MonoBehaviour
             int bestOf = (_cfg != null) ? Mathf.Max(1, _cfg.totalRounds) : 3;
             // roundIndex is 1-based, but we increment after win; clamp display
             int displayRound = Mathf.Clamp(_roundIndex, 1, bestOf);
-            roundText.text = $"ROUND: {displayRound}/{bestOf}";
+            roundText.text = _roundIndex > bestOf && !IsMatchOver()
+                ? "ROUND: SUDDEN DEATH"
+                : $"ROUND: {displayRound}/{bestOf}";
         }
 
-        if (scoreText) scoreText.text = $"TEAM A: {_winsA}  |  TEAM B: {_winsB}";
+        if (scoreText) scoreText.text = $"{GetTeamLabel(0)}: {_winsA}  |  {GetTeamLabel(1)}: {_winsB}";
 
         UpdateDebugRosterLine();
     }
@@ -3,9 +3,10 @@
 //
 // Responsibilities:
 // - Load + validate control.json (NO control.json = NO game)
-// - Generate room code (length from control.json; default 4)
 // - Connect to backend (EC2 WebSocket)
-// - Send unityCreate { gameType:"truckofwar", location, allowedNumberOfPlayers, requestedCode }
+// - Send unityCreate { gameType:"truckofwar", location, allowedNumberOfPlayers, roomCodeLength,
+//   bestOf (totalRounds), round timings from GameLogic }
+//   (backend generates the room code; length from control.json, default 4)
 // - Enter Lobby state (auto-start timer OR press "N")
 // - Run Buffer countdown then tell GameLogic to start
 //
@@ -57,14 +58,55 @@ public class Initializer : MonoBehaviour
 
         public int totalRounds = 3;
 
+        // Level match after totalRounds (drawn rounds / even best-of):
+        // "allow" = tie, "taps" = more total taps wins, "suddenDeath" = extra rounds
+        public string tiePolicy = "taps";
+
         public float tapStrengthMultiplier = 1.0f;
 
         public bool allowLateJoin = true;
 
         public bool recordGameData = true;
 
+        // Where the backend stores the final game record: "s3" | "fs" | "webhook"
+        // (empty = backend default RECORD_SINKS; destinations are configured on the backend)
+        public string[] recordSinks = new string[0];
+
+        // Prizes (backend hands out vouchers at game end; each code only once, ever)
+        // voucherPool: plain codes; prizeRules: [{ tier, team:"winner", by:"ttr", from:1, to:7 }]
+        // No prizeRules: winning team TTR 1..winTopUnderStart, then ..winTopUnderMax (0 = unused)
+        public string[] voucherPool = new string[0];
+        public BackendConnector.PrizeRule[] prizeRules = new BackendConnector.PrizeRule[0];
+        public int winTopUnderStart = 0;
+        public int winTopUnderMax = 0;
+
+        // Team branding: shown on phones, in results + the game record (empty = "Team A"/"Team B")
+        public string teamA_name = "";
+        public string teamB_name = "";
+        public string teamA_color = ""; // "#RRGGBB"
+        public string teamB_color = "";
+
+        // Team assignment (backend): "leastFilled" | "seatPinned" | "playerChoice"
+        // seatPinned: phones send their seat (QR ?seat=F12); lists take "F12", "F1-F12" or "F*"
+        // playerChoice: phones pick a side (QR ?team=A|B); teamCapacity 0 = half the player cap
+        public string teamAssignmentMode = "leastFilled";
+        public string[] teamA_playerSeat = new string[0];
+        public string[] teamB_playerSeat = new string[0];
+        public int teamCapacity = 0;
+
+        // Phone input mechanics the room offers (first = default): "tap" | "hold" | "swipe" | "rhythm"
+        // The backend converts each into taps; inputTuning sets the rates + rhythm tempo
+        public string[] inputModes = new string[] { "tap" };
+        public BackendConnector.InputTuning inputTuning = new BackendConnector.InputTuning();
+
+        // Backend runs the rope + rounds (GameLogic only renders backend "sim" messages)
+        public bool serverSimulation = false;
+
         // Optional: backend URL can live here too
         public string backendWsUrl = "wss://api.prologuebymetama.com/ws";
+
+        // Shared secret for this location (must match backend UNITY_HOST_KEYS / UNITY_HOST_KEY)
+        public string hostKey = "";
     }
 
     [Header("Core References")]
@@ -125,6 +167,7 @@ public class Initializer : MonoBehaviour
             backend.OnTowPaused += HandleTowPaused;
             backend.OnTowEnded += HandleTowEnded;
             backend.OnTowPhase += HandleTowPhase;
+            backend.OnTowSim += HandleTowSim;
         }
     }
 
@@ -145,6 +188,7 @@ public class Initializer : MonoBehaviour
             backend.OnTowPaused -= HandleTowPaused;
             backend.OnTowEnded -= HandleTowEnded;
             backend.OnTowPhase -= HandleTowPhase; // FIX: removed duplicate unhook
+            backend.OnTowSim -= HandleTowSim;
         }
     }
 
@@ -158,8 +202,8 @@ public class Initializer : MonoBehaviour
         TryLoadControlJsonOrFail();
         if (_state == BootState.Error) return;
 
-        // Generate a code now (backend will accept requestedCode)
-        _roomCode = GenerateRoomCode(_cfg.roomCodeLength);
+        // Backend generates the room code (roomCodeLength) and returns it in unityCreated
+        _roomCode = "";
 
         // Push config into systems
         if (gameLogic != null) gameLogic.ApplyConfig(_cfg);
@@ -332,6 +376,22 @@ public class Initializer : MonoBehaviour
             return;
         }
 
+        // Best-of (backend accepts 1..15; odd recommended)
+        if (_cfg.totalRounds <= 0) _cfg.totalRounds = 3;
+        if (_cfg.totalRounds > 15)
+        {
+            Fail("control.json totalRounds must be between 1 and 15");
+            return;
+        }
+
+        // Tie policy (backend rejects unknown values)
+        if (string.IsNullOrWhiteSpace(_cfg.tiePolicy)) _cfg.tiePolicy = "taps";
+        if (_cfg.tiePolicy != "allow" && _cfg.tiePolicy != "taps" && _cfg.tiePolicy != "suddenDeath")
+        {
+            Fail("control.json tiePolicy must be \"allow\", \"taps\" or \"suddenDeath\"");
+            return;
+        }
+
         // Default to 60s lobby if value is missing/invalid to avoid accidental instant starts.
         if (_cfg.lobbyDurationSeconds <= 0) _cfg.lobbyDurationSeconds = 60;
 
@@ -403,6 +463,29 @@ public class Initializer : MonoBehaviour
             teamCount = 2,
             allowedNumberOfPlayers = _cfg.allowedNumberOfPlayers,
             requestedCode = _roomCode,
+            roomCodeLength = _cfg.roomCodeLength,
+            hostKey = _cfg.hostKey,
+            simulation = _cfg.serverSimulation,
+            teamAssignmentMode = _cfg.teamAssignmentMode,
+            teamA_playerSeat = _cfg.teamA_playerSeat,
+            teamB_playerSeat = _cfg.teamB_playerSeat,
+            teamCapacity = _cfg.teamCapacity,
+            voucherPool = _cfg.voucherPool,
+            prizeRules = _cfg.prizeRules,
+            winTopUnderStart = _cfg.winTopUnderStart,
+            winTopUnderMax = _cfg.winTopUnderMax,
+            teamA_name = _cfg.teamA_name,
+            teamB_name = _cfg.teamB_name,
+            teamA_color = _cfg.teamA_color,
+            teamB_color = _cfg.teamB_color,
+            recordSinks = _cfg.recordSinks,
+            bestOf = _cfg.totalRounds,
+            tiePolicy = _cfg.tiePolicy,
+            inputModes = _cfg.inputModes,
+            inputTuning = _cfg.inputTuning,
+            roundDurationSeconds = gameLogic != null ? gameLogic.GetRoundDurationSeconds() : 230,
+            bufferSeconds = gameLogic != null ? gameLogic.GetBufferCountdownSeconds() : 3,
+            roundEndDisplaySeconds = gameLogic != null ? gameLogic.GetRoundEndDisplaySeconds() : 3f,
         });
 
         UpdateStatus("CREATING SESSION…", $"ROOM: {_roomCode}", "Waiting for backend ack…");
@@ -538,6 +621,24 @@ public class Initializer : MonoBehaviour
     private void HandleTowRecordSaved(BackendConnector.TowRecordSavedMsg msg)
     {
         Debug.Log($"[TOW] recordSaved ok={msg.ok} key={msg.key} bucket={msg.bucket} reason={msg.reason}");
+        if (msg.sinks != null)
+        {
+            foreach (var sink in msg.sinks)
+            {
+                if (sink == null) continue;
+                Debug.Log($"[TOW]   sink={sink.sink} ok={sink.ok} location={sink.location} reason={sink.reason} attempts={sink.attempts}");
+            }
+        }
+
+        if (msg.prizes != null && msg.prizes.Length > 0)
+        {
+            Debug.Log($"[TOW] Prizes ({msg.prizes.Length} handed out, {msg.prizesUnfilled} unfilled):");
+            foreach (var prize in msg.prizes)
+            {
+                if (prize == null) continue;
+                Debug.Log($"[TOW]   {prize.username} ({prize.team}, {prize.by?.ToUpperInvariant()} {prize.rank}) -> {prize.code}");
+            }
+        }
 
         if (top7WinnersText != null)
         {
@@ -617,9 +718,8 @@ public class Initializer : MonoBehaviour
         if (msg?.topByTtr == null || msg.topByTtr.Length == 0)
             return;
 
-        int winningTeamIndex = -1;
-        if (string.Equals(msg.winningTeam, "Team A", StringComparison.OrdinalIgnoreCase)) winningTeamIndex = 0;
-        else if (string.Equals(msg.winningTeam, "Team B", StringComparison.OrdinalIgnoreCase)) winningTeamIndex = 1;
+        // winningTeam carries the configured team name; match on the index
+        int winningTeamIndex = msg.winningTeamIndex;
 
         for (int i = 0; i < msg.topByTtr.Length; i++)
         {
@@ -669,6 +769,11 @@ public class Initializer : MonoBehaviour
         // Optional: react to backend phase broadcasts.
     }
 
+    private void HandleTowSim(BackendConnector.TowSimMsg msg)
+    {
+        if (gameLogic != null) gameLogic.OnServerSim(msg);
+    }
+
     /* ============================
        Utilities
     ============================ */
@@ -779,20 +884,4 @@ public class Initializer : MonoBehaviour
         return false;
 #endif
     }
-
-    private string GenerateRoomCode(int lengthFromConfig)
-    {
-        const string letters = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
-        int length = Mathf.Clamp(lengthFromConfig <= 0 ? 4 : lengthFromConfig, 3, 8);
-
-        StringBuilder sb = new StringBuilder(length);
-
-        for (int i = 0; i < length; i++)
-        {
-            int index = UnityEngine.Random.Range(0, letters.Length);
-            sb.Append(letters[index]);
-        }
-
-        return sb.ToString();
-    }
 }
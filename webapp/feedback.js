@@ -0,0 +1,221 @@
+"use strict";
+
+// Controller feedback (loaded before script.js, which calls feedback.play(event)).
+// - Channels: haptics (navigator.vibrate), sound (Web Audio), flash (full-screen overlay).
+//   Each one is switched from the settings bar and remembered in localStorage.
+// - Sounds are rendered into AudioBuffers once the first touch unlocks audio, so playback
+//   never waits on a download or decode (browsers refuse audio before a user gesture).
+// - Events: tap, countdown, go, roundWon, roundLost, roundTied, gameWon, gameLost, gameTied.
+//   A channel without an entry for an event just stays quiet.
+
+const feedback = (() => {
+  const K_FEEDBACK = "tow.feedback";
+  const CHANNELS = ["haptics", "sound", "flash"];
+  const LABELS = { haptics: "VIBRATE", sound: "SOUND", flash: "FLASH" };
+
+  // Rapid tapping: at most one tap buzz / click per this many ms
+  const TAP_MIN_GAP_MS = 45;
+  const MASTER_GAIN = 0.35;
+
+  // navigator.vibrate patterns (ms on, off, on, ...)
+  const VIBRATION = {
+    tap: 12,
+    countdown: 30,
+    go: [60, 40, 120],
+    roundWon: [80, 60, 80, 60, 200],
+    roundLost: [400],
+    roundTied: [120, 80, 120],
+    gameWon: [100, 60, 100, 60, 100, 60, 400],
+    gameLost: [600],
+    gameTied: [150, 100, 150],
+  };
+
+  // Notes: [frequency Hz, start ms, length ms]; wave per sound
+  const SOUNDS = {
+    tap: { wave: "square", gain: 0.25, notes: [[880, 0, 35]] },
+    countdown: { wave: "sine", gain: 0.6, notes: [[660, 0, 120]] },
+    go: { wave: "square", gain: 0.4, notes: [[990, 0, 90], [1320, 90, 220]] },
+    roundWon: { wave: "triangle", gain: 0.7, notes: [[523, 0, 110], [659, 110, 110], [784, 220, 260]] },
+    roundLost: { wave: "triangle", gain: 0.7, notes: [[392, 0, 160], [311, 160, 320]] },
+    roundTied: { wave: "triangle", gain: 0.6, notes: [[523, 0, 150], [523, 200, 150]] },
+    gameWon: {
+      wave: "triangle",
+      gain: 0.7,
+      notes: [[523, 0, 120], [659, 120, 120], [784, 240, 120], [1047, 360, 480]],
+    },
+    gameLost: { wave: "triangle", gain: 0.7, notes: [[440, 0, 200], [392, 200, 200], [330, 400, 480]] },
+    gameTied: { wave: "triangle", gain: 0.6, notes: [[523, 0, 200], [523, 260, 200], [523, 520, 300]] },
+  };
+
+  // Overlay colour per event; "team" = the player's team colour (--team-color)
+  const FLASH = { countdown: "white", go: "team" };
+
+  const canVibrate = typeof navigator.vibrate === "function";
+  const AudioCtor = window.AudioContext || window.webkitAudioContext || null;
+  const reducedMotion = !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+
+  // Sound is opt-in (venues are loud, neighbours aren't); flash follows the OS motion setting
+  let prefs = { haptics: canVibrate, sound: false, flash: !reducedMotion, ...loadPrefs() };
+  let audio = null; // { ctx, master, buffers }
+  let lastTapAt = 0;
+  let flashEl = null;
+  let barEl = null;
+
+  function loadPrefs() {
+    try {
+      const raw = JSON.parse(localStorage.getItem(K_FEEDBACK) || "{}");
+      const out = {};
+      for (const ch of CHANNELS) if (typeof raw?.[ch] === "boolean") out[ch] = raw[ch];
+      return out;
+    } catch {
+      return {};
+    }
+  }
+  function savePrefs() {
+    try { localStorage.setItem(K_FEEDBACK, JSON.stringify(prefs)); } catch {}
+  }
+
+  function supported(channel) {
+    if (channel === "haptics") return canVibrate;
+    if (channel === "sound") return !!AudioCtor;
+    return true;
+  }
+
+  function enabled(channel) {
+    return !!prefs[channel] && supported(channel);
+  }
+
+  /* ===========================
+     Sound (Web Audio)
+  =========================== */
+
+  // Short attack, exponential-ish decay: no clicks at note edges
+  function renderSound(ctx, { wave, gain, notes }) {
+    const rate = ctx.sampleRate;
+    const totalMs = Math.max(...notes.map(([, at, ms]) => at + ms));
+    const buffer = ctx.createBuffer(1, Math.ceil((totalMs / 1000) * rate), rate);
+    const data = buffer.getChannelData(0);
+
+    for (const [freq, at, ms] of notes) {
+      const start = Math.floor((at / 1000) * rate);
+      const len = Math.floor((ms / 1000) * rate);
+      const attack = Math.max(1, Math.floor(0.005 * rate));
+      for (let i = 0; i < len && start + i < data.length; i++) {
+        const phase = ((freq * i) / rate) % 1;
+        const sample =
+          wave === "square" ? (phase < 0.5 ? 1 : -1)
+          : wave === "triangle" ? 1 - 4 * Math.abs(phase - 0.5)
+          : Math.sin(2 * Math.PI * phase);
+        const env = Math.min(1, i / attack) * Math.pow(1 - i / len, 2);
+        data[start + i] += sample * env * gain;
+      }
+    }
+    return buffer;
+  }
+
+  // Needs a user gesture (join button, first tap, the SOUND toggle); safe to call repeatedly
+  function unlock() {
+    if (!enabled("sound")) return;
+    try {
+      if (!audio) {
+        const ctx = new AudioCtor();
+        const master = ctx.createGain();
+        master.gain.value = MASTER_GAIN;
+        master.connect(ctx.destination);
+        const buffers = {};
+        for (const [name, spec] of Object.entries(SOUNDS)) buffers[name] = renderSound(ctx, spec);
+        audio = { ctx, master, buffers };
+      }
+      if (audio.ctx.state === "suspended") audio.ctx.resume().catch(() => {});
+    } catch (_) {
+      audio = null;
+    }
+  }
+
+  function playSound(event) {
+    const buffer = audio?.buffers[event];
+    if (!buffer || audio.ctx.state !== "running") return;
+    try {
+      const src = audio.ctx.createBufferSource();
+      src.buffer = buffer;
+      src.connect(audio.master);
+      src.start();
+    } catch (_) {}
+  }
+
+  /* ===========================
+     Haptics + flash
+  =========================== */
+
+  function vibrate(event) {
+    const pattern = VIBRATION[event];
+    if (pattern === undefined) return;
+    try { navigator.vibrate(pattern); } catch (_) {}
+  }
+
+  function flash(event) {
+    const kind = FLASH[event];
+    if (!kind || !flashEl) return;
+    flashEl.dataset.kind = kind;
+    flashEl.classList.remove("is-flashing");
+    void flashEl.offsetWidth; // restart the CSS animation
+    flashEl.classList.add("is-flashing");
+  }
+
+  /* ===========================
+     Public API
+  =========================== */
+
+  function play(event) {
+    if (event === "tap") {
+      const now = Date.now();
+      if (now - lastTapAt < TAP_MIN_GAP_MS) return;
+      lastTapAt = now;
+    }
+    if (enabled("haptics")) vibrate(event);
+    if (enabled("sound")) playSound(event);
+    if (enabled("flash")) flash(event);
+  }
+
+  function set(channel, on) {
+    if (!CHANNELS.includes(channel)) return;
+    prefs[channel] = !!on;
+    savePrefs();
+    renderBar();
+    if (channel === "sound" && on) {
+      unlock();
+      playSound("tap");
+    }
+    if (channel === "haptics" && on) vibrate("tap");
+  }
+
+  function renderBar() {
+    if (!barEl) return;
+    for (const btn of barEl.children) {
+      const ch = btn.dataset.feedback;
+      btn.classList.toggle("is-on", enabled(ch));
+      btn.setAttribute("aria-pressed", enabled(ch) ? "true" : "false");
+    }
+  }
+
+  // bar: container for the toggles; overlay: full-screen flash element
+  function init({ bar, overlay } = {}) {
+    flashEl = overlay || null;
+    barEl = bar || null;
+    if (!barEl) return;
+    barEl.textContent = "";
+    for (const ch of CHANNELS) {
+      if (!supported(ch)) continue;
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "feedback-btn";
+      btn.dataset.feedback = ch;
+      btn.textContent = LABELS[ch];
+      btn.addEventListener("click", () => set(ch, !enabled(ch)));
+      barEl.appendChild(btn);
+    }
+    renderBar();
+  }
+
+  return { init, play, unlock, set, enabled };
+})();
@@ -1,14 +1,67 @@
 "use strict";
 
-const WS_URL = "wss://api.prologuebymetama.com/ws";
-const DEV_MODE = false;
+// Runtime config (see loadConfig): built-in prod defaults < <meta name="tow-profile"> /
+// <meta name="tow-ws-url"> < config.json < URL params (?dev=1|0; ?profile=... and ?ws=... only
+// when the deployed profile allows URL overrides). wsUrl "auto" = same host as the page.
+const DEFAULT_PROFILES = {
+  local: { wsUrl: "ws://localhost:3000", devMode: true, allowUrlOverrides: true },
+  staging: { wsUrl: "auto", devMode: true, allowUrlOverrides: true },
+  prod: { wsUrl: "wss://api.prologuebymetama.com/ws", devMode: false, allowUrlOverrides: false },
+};
+const DEFAULT_PROFILE = "prod";
+const CONFIG_URL = "./config.json";
+const CONFIG_TIMEOUT_MS = 2500;
 
 const DEFAULT_CODE_LEN = 4;
 const MAX_CODE_LEN = 8;
 const PRESS_FEEDBACK_MS = 100;
 
+// Declared on the first message of each connection; server answers with { type:"protocol" }
+const PROTOCOL_VERSION = 2;
+const PROTOCOL_FEATURES = ["resume", "lateJoin", "roundEvents", "kicked", "progress"];
+
+// Reconnect backoff (equal jitter), capped; a first join gives up after MAX_JOIN_ATTEMPTS
+const RECONNECT_BASE_MS = 500;
+const RECONNECT_MAX_MS = 15000;
+const MAX_JOIN_ATTEMPTS = 4;
+
+// Latency probe over the router's ping/pong; no pong within the timeout = dead socket
+const PING_EVERY_MS = 5000;
+const PING_TIMEOUT_MS = 8000;
+const SLOW_LATENCY_MS = 400;
+
+// Offline taps: mirrors the backend limiter (10 per message, 20/s over 2s) with headroom
+const MAX_OFFLINE_TAPS = 200;
+const MAX_TAPS_PER_MESSAGE = 10;
+const TAP_WINDOW_MS = 2000;
+const TAP_WINDOW_LIMIT = 40; // live taps: the backend's own cap for the window
+const TAP_REPLAY_BUDGET = 30; // replay stops short of it, leaving room for live taps
+const TAP_REPLAY_MS = 250;
+
+// Input modes the room allows (snapshot.inputModes); the backend turns hold time, swipe
+// distance and beat timing into taps. Only taps are replayed after a reconnect.
+const INPUT_MODES = ["tap", "hold", "swipe", "rhythm"];
+const INPUT_LABELS = { tap: "TAP", hold: "HOLD", swipe: "SWIPE", rhythm: "RHYTHM" };
+const INPUT_HINTS = {
+  tap: "TAP AS FAST AS YOU CAN!",
+  hold: "HOLD TO PULL!",
+  swipe: "SWIPE DOWN TO PULL!",
+  rhythm: "TAP ON THE BEAT!",
+};
+const HOLD_REPORT_MS = 250;
+const SWIPE_FLUSH_MS = 150;
+const MAX_SWIPE_PER_MESSAGE = 5; // screen heights
+const BEAT_FLUSH_MS = 250;
+const MAX_BEATS_PER_MESSAGE = 16;
+const BEAT_FLASH_MS = 120;
+const JUDGEMENT_MS = 450;
+// Backend defaults (snapshot.inputTuning overrides)
+const DEFAULT_INPUT_TUNING = { rhythmBpm: 120, rhythmPerfectMs: 70, rhythmGoodMs: 150 };
+
 const K_UID = "tow.uid";
+const K_DEV = "tow.dev"; // sticky ?dev=1 / ?dev=0
 const K_SESSION = "tow.session";
+const K_INPUT_MODE = "tow.inputMode"; // last picked input mode
 
 function $(id) { return document.getElementById(id); }
 function setText(el, text) { if (el) el.textContent = text; }
@@ -28,6 +81,9 @@ const roundPopup = $("roundPopup");
 const roundPopupTitle = $("roundPopupTitle");
 const roundPopupBody = $("roundPopupBody");
 const statusDot = $("statusDot");
+const latencyEl = $("latency");
+const feedbackBar = $("feedbackBar");
+const screenFlash = $("screenFlash");
 const uidHint = $("uidHint");
 
 const roomCodeEl = $("roomCode");
@@ -43,11 +99,20 @@ const teamBanner = $("teamBanner");
 const teamTruck = $("teamTruck");
 const teamBannerEnd = $("teamBannerEnd");
 const teamTruckEnd = $("teamTruckEnd");
+const teamNameEl = $("teamName");
+const tugBar = $("tugBar");
+const tugMarker = $("tugMarker");
+const tugRateA = $("tugRateA");
+const tugRateB = $("tugRateB");
+const tugStatus = $("tugStatus");
+const modePicker = $("modePicker");
+const inputHint = $("inputHint");
 
 const devPanel = $("devPanel");
 const tapCountEl = $("tapCount");
 const roomView = $("roomView");
 const uidView = $("uidView");
+const serverView = $("serverView");
 
 const endTitle = $("endTitle");
 const endResult = $("endResult");
@@ -55,8 +120,11 @@ const endTeam = $("endTeam");
 const endTaps = $("endTaps");
 const endTTR = $("endTTR");
 const endGTR = $("endGTR");
+const endPrizeRow = $("endPrizeRow");
+const endPrize = $("endPrize");
 const btnRestart = $("btnRestart");
 
+let config = { profile: DEFAULT_PROFILE, ...DEFAULT_PROFILES[DEFAULT_PROFILE] }; // replaced by loadConfig()
 let ws = null;
 let isConnecting = false;
 let phase = "join";
@@ -73,6 +141,35 @@ let roundPopupTimer = null;
 let roundCountdownTimer = null;
 let hasSeenRoundEnd = false;
 let pressTimer = null;
+let protocolInfo = null;
+let connState = "idle"; // "idle" | "connecting" | "open" | "reconnecting" | "offline"
+let hasJoined = false; // join/resume acked at least once for this code + username
+let stopped = false; // player left / was kicked / join refused: don't reconnect
+let reconnectAttempt = 0;
+let reconnectTimer = null;
+let pingTimer = null;
+let pingSentAt = 0;
+let lastPongAt = 0;
+let currentRound = null; // roundIndex of the live round (roundLive / snapshot)
+let offlineTaps = null; // { roundIndex, count } made while disconnected, replayed after resume
+let tapReplayTimer = null;
+let sentTaps = []; // [{ at, n }] inside TAP_WINDOW_MS
+let inputModes = ["tap"]; // allowed by the room, host order
+let inputTuning = { ...DEFAULT_INPUT_TUNING };
+let inputMode = "tap";
+let holdLastAt = 0; // 0 = not holding
+let holdTimer = null;
+let swipeLastY = null;
+let swipeDistance = 0;
+let swipeFlushTimer = null;
+let beatAnchorAt = 0; // performance.now() of beat 0 (phase active / round live / snapshot.beatClockMs)
+let beatTimer = null;
+let beatHits = [];
+let beatLastClaimed = { anchor: null, beat: -1 }; // the server scores each beat once (first hit)
+let beatFlushTimer = null;
+let judgementTimer = null;
+// Session team names/colours (snapshot teamA_name, teamA_color, ...); colour null = art only
+let teamBranding = { names: ["TEAM A", "TEAM B"], colors: [null, null] };
 
 function getOrCreateUid() {
   let uid = localStorage.getItem(K_UID);
@@ -103,6 +200,22 @@ function parseCodeFromUrl() {
   const u = new URL(window.location.href);
   return normalizeCode((u.searchParams.get("cd") || u.searchParams.get("c") || "").trim());
 }
+// Seat-pinned rooms: QR per seat/row (?seat=F12); player-choice rooms: QR per side (?team=A|B)
+function parseSeatFromUrl() {
+  const u = new URL(window.location.href);
+  return (u.searchParams.get("seat") || u.searchParams.get("s") || "").toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 16);
+}
+function parseTeamFromUrl() {
+  const v = ((new URL(window.location.href)).searchParams.get("team") || "").trim().toUpperCase();
+  if (v === "A" || v === "0") return 0;
+  if (v === "B" || v === "1") return 1;
+  return null;
+}
+function joinPlacement() {
+  const seat = parseSeatFromUrl();
+  const team = parseTeamFromUrl();
+  return { ...(seat ? { seat } : {}), ...(team !== null ? { teamIndex: team } : {}) };
+}
 function getCodeLenFromUrlOrDefault() {
   try {
     const n = Number((new URL(window.location.href)).searchParams.get("len") || "");
@@ -112,12 +225,20 @@ function getCodeLenFromUrlOrDefault() {
 }
 const CODE_LEN = getCodeLenFromUrlOrDefault();
 
+function applyTeamBranding(snap) {
+  if (!snap || typeof snap !== "object") return;
+  ["A", "B"].forEach((k, i) => {
+    if (snap[`team${k}_name`]) teamBranding.names[i] = String(snap[`team${k}_name`]);
+    if (snap[`team${k}_color`] !== undefined) teamBranding.colors[i] = snap[`team${k}_color`] || null;
+  });
+}
 function getTeamAssets(idx) {
+  const brand = { name: teamBranding.names[idx] || "TEAM —", color: teamBranding.colors[idx] || null };
   return idx === 0
-    ? { name: "TEAM A", banner: "./assets/Banner_TeamA.png", truck: "./assets/TruckA.png" }
+    ? { ...brand, banner: "./assets/Banner_TeamA.png", truck: "./assets/TruckA.png" }
     : idx === 1
-      ? { name: "TEAM B", banner: "./assets/Banner_TeamB.png", truck: "./assets/TruckB.png" }
-      : { name: "TEAM —", banner: "", truck: "" };
+      ? { ...brand, banner: "./assets/Banner_TeamB.png", truck: "./assets/TruckB.png" }
+      : { name: "TEAM —", color: null, banner: "", truck: "" };
 }
 
 function showView(which) {
@@ -162,9 +283,10 @@ function hideRoundPopup() {
   setHidden(roundPopup, true);
   setAttr(roundPopup, "aria-hidden", "true");
 }
-function showRoundCountdown(seconds) {
+function showRoundCountdown(seconds, title = "NEXT ROUND") {
   let s = Math.max(0, Number(seconds) || 0);
-  showRoundPopup("NEXT ROUND", `Starting in ${s}…`, 0);
+  showRoundPopup(title, `Starting in ${s}…`, 0);
+  if (s > 0) feedback.play("countdown");
   clearInterval(roundCountdownTimer);
   roundCountdownTimer = setInterval(() => {
     s -= 1;
@@ -176,6 +298,7 @@ function showRoundCountdown(seconds) {
       return;
     }
     setText(roundPopupBody, `Starting in ${s}…`);
+    feedback.play("countdown");
   }, 1000);
 }
 
@@ -194,6 +317,10 @@ function setTeamUI(idx) {
   }
   saveSession({ teamIndex });
   setText(endTeam, team.name);
+  setText(teamNameEl, team.name);
+  setHidden(teamNameEl, typeof teamIndex !== "number");
+  if (team.color) document.documentElement.style.setProperty("--team-color", team.color);
+  else document.documentElement.style.removeProperty("--team-color");
 }
 
 function setPhaseUI(p) {
@@ -203,17 +330,45 @@ function setPhaseUI(p) {
     canTap = true;
     if (btnTap) btnTap.disabled = false;
     setStatusDot("hidden");
+    if (inputMode === "rhythm" && !beatTimer) startBeat();
   } else if (phase === "ended") {
+    stopInput();
     canTap = false;
     if (btnTap) btnTap.disabled = true;
     setStatusDot("hidden");
+    hideProgress();
   } else {
+    stopInput();
     canTap = false;
     if (btnTap) btnTap.disabled = true;
     setStatusDot("red");
+    hideProgress();
   }
 }
 
+// Live tug bar from { type:"progress" }: rope -1 (Team A goal, left) .. 1 (Team B goal, right).
+// No rope from the host -> share of this round's taps.
+function showProgress(msg) {
+  if (phase !== "active") return;
+  const a = Math.max(0, Number(msg.roundTapsA) || 0);
+  const b = Math.max(0, Number(msg.roundTapsB) || 0);
+  const pos = typeof msg.rope === "number" ? Math.max(-1, Math.min(1, msg.rope)) : a + b ? (b - a) / (a + b) : 0;
+
+  if (tugMarker) tugMarker.style.left = `${((pos + 1) / 2) * 100}%`;
+  setText(tugRateA, `${teamBranding.names[0]} · ${Math.round(Number(msg.rateA) || 0)}/s`);
+  setText(tugRateB, `${Math.round(Number(msg.rateB) || 0)}/s · ${teamBranding.names[1]}`);
+
+  // Team A pulls toward -1, Team B toward +1
+  const lead = Math.abs(pos) < 0.05 ? null : pos < 0 ? 0 : 1;
+  const state = lead === null || typeof teamIndex !== "number" ? "even" : lead === teamIndex ? "ahead" : "behind";
+  setText(tugStatus, state === "ahead" ? "YOUR TEAM IS WINNING!" : state === "behind" ? "PULL HARDER!" : "NECK AND NECK");
+  if (tugBar) tugBar.dataset.state = state;
+  setHidden(tugBar, false);
+}
+function hideProgress() {
+  setHidden(tugBar, true);
+}
+
 function setTapUI(count) {
   taps = Math.max(0, Number(count) || 0);
   setText(tapCountEl, String(taps));
@@ -229,17 +384,20 @@ function setTapPressedVisual(pressed) {
 function goToControl() {
   setText(roomView, code || "—");
   setText(uidView, clientUid);
-  setHidden(devPanel, !DEV_MODE);
+  setHidden(devPanel, !config.devMode);
   showView("control");
 }
 
-function goToEnd({ won, ttr, gtr, winningTeamLabel, isTie = false }) {
+function goToEnd({ won, ttr, gtr, winningTeamLabel, isTie = false, prize = null }) {
   showView("end");
   setText(endTTR, typeof ttr === "number" ? String(ttr) : "—");
   setText(endGTR, typeof gtr === "number" ? String(gtr) : "—");
+  // Voucher from the room's prize pool: { code, tier, label }
+  setText(endPrize, prize?.code ? (prize.label ? `${prize.label}: ${prize.code}` : prize.code) : "—");
+  setHidden(endPrizeRow, !prize?.code);
   setText(endTitle, winningTeamLabel ? `GAME OVER — ${winningTeamLabel}` : "GAME OVER");
   setText(endResult, isTie ? "TIE" : won ? "YOU WIN" : "YOU LOSE");
-  saveSession({ won: !!won, ttr, gtr });
+  saveSession({ won: !!won, ttr, gtr, prize: prize?.code ? prize : null });
 }
 
 function wsSend(obj) {
@@ -248,144 +406,355 @@ function wsSend(obj) {
   return true;
 }
 
-function connectAndJoin({ codeIn, usernameIn, fullNameIn }) {
-  if (isConnecting) return;
-  isConnecting = true;
-
-  code = normalizeCode(codeIn);
-  username = (usernameIn || "").trim();
-  fullName = (fullNameIn || "").trim();
+/* ===========================
+   Connection state machine
+   idle -> connecting -> open (join/resume acked) -> reconnecting <-> offline -> open ...
+=========================== */
 
-  const minLen = Math.min(Math.max(3, CODE_LEN), MAX_CODE_LEN);
-  if (!code || code.length < minLen) {
-    isConnecting = false;
-    showToast(`Please enter a valid room code (${CODE_LEN} letters).`);
+function setConnState(next, retryInMs) {
+  connState = next;
+  if (next === "open") {
+    setReconnecting(false);
     return;
   }
-  if (!username) {
-    isConnecting = false;
-    showToast("Please enter a username.");
+  if (next === "idle") {
+    setReconnecting(false);
+    setLoading(false);
+    setHidden(latencyEl, true);
     return;
   }
-  if (!fullName) {
+  if (next === "connecting") {
+    setLoading(true, "Connecting…", "Please keep this page open.");
+    return;
+  }
+  if (next === "offline") {
+    setStatusDot("red");
+    setReconnecting(true, "You're offline", "Waiting for the network… keep tapping, your taps are saved.");
+    return;
+  }
+  // reconnecting
+  setStatusDot("orange");
+  statusDot?.classList.add("is-blinking");
+  const wait = retryInMs > 1000 ? ` Retrying in ${Math.ceil(retryInMs / 1000)}s…` : " Retrying…";
+  setReconnecting(true, "Reconnecting…", `Connection lost.${wait}`);
+}
+
+// Non-blocking variant of the loading card (players keep tapping underneath)
+function setReconnecting(on, title, sub) {
+  loading?.classList.toggle("is-reconnecting", !!on);
+  if (!on) statusDot?.classList.remove("is-blinking");
+  setLoading(on, title, sub);
+}
+
+function shouldReconnect() {
+  return !stopped && !!code && !!username && phase !== "ended";
+}
+
+// Equal jitter: half the capped exponential delay + a random half
+function backoffDelay(attempt) {
+  const cap = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+function scheduleReconnect() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (!shouldReconnect()) { setConnState("idle"); return; }
+
+  // First join never got through: give up after a few tries and let the player retry
+  if (!hasJoined && reconnectAttempt >= MAX_JOIN_ATTEMPTS) {
     isConnecting = false;
-    showToast("Please enter your full name.");
+    setConnState("idle");
+    showToast("Can't reach the game. Check your connection and try again.");
     return;
   }
 
-  saveSession({ code, username, fullName, clientUid });
-  setLoading(true, "Connecting…", "Please keep this page open.");
-  setText(uidHint, `UID: ${clientUid}`);
-  setHidden(uidHint, !DEV_MODE);
+  if (navigator.onLine === false) { setConnState("offline"); return; } // "online" event resumes
+
+  const delay = backoffDelay(reconnectAttempt++);
+  if (hasJoined) setConnState("reconnecting", delay);
+  reconnectTimer = setTimeout(openSocket, delay);
+}
+
+// Forget the current socket without waiting for its close handshake (dead Wi-Fi never finishes it)
+function dropSocket() {
+  const old = ws;
+  ws = null;
+  stopPing();
+  try { if (old) old.close(); } catch {}
+}
 
-  try { if (ws) ws.close(); } catch {}
-  ws = new WebSocket(WS_URL);
+function openSocket() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  dropSocket();
+  if (!hasJoined) setConnState("connecting");
 
-  const connectTimeout = setTimeout(() => showToast("Still connecting… please wait."), 2200);
+  const sock = new WebSocket(config.wsUrl);
+  ws = sock;
+  const connectTimeout = hasJoined ? null : setTimeout(() => showToast("Still connecting… please wait."), 2200);
 
-  ws.onopen = () => {
+  sock.onopen = () => {
+    if (sock !== ws) return;
     clearTimeout(connectTimeout);
     const saved = loadSavedSession();
     resumeToken = saved && saved.code === code && saved.username === username && saved.resumeToken ? saved.resumeToken : null;
+    const hello = { protocolVersion: PROTOCOL_VERSION, features: PROTOCOL_FEATURES };
     wsSend(
       resumeToken
-        ? { type: "playerResume", code, username, fullName, resumeToken }
-        : { type: "playerJoinTow", code, username, fullName }
+        ? { type: "playerResume", code, username, fullName, resumeToken, ...hello }
+        : { type: "playerJoinTow", code, username, fullName, ...joinPlacement(), ...hello }
     );
+    startPing();
   };
 
-  ws.onmessage = (ev) => {
+  sock.onmessage = (ev) => {
+    if (sock !== ws) return;
     let msg = null;
     try { msg = JSON.parse(ev.data); } catch { return; }
-    const t = msg.type;
+    handleMessage(msg);
+  };
 
-    if (t === "joinResult" && msg.ok === false) {
-      setLoading(false); isConnecting = false; showToast(msg.message || msg.reason || "Join failed."); return;
-    }
-    if (t === "resumeResult" && msg.ok === false) {
-      clearSession(); resumeToken = null; setLoading(false); isConnecting = false; showToast(msg.message || "Session expired. Please join again."); showView("input"); return;
-    }
-    if (t === "error" || msg.ok === false) {
-      setLoading(false); isConnecting = false; showToast(msg.error || msg.message || "Connection error."); return;
-    }
+  sock.onerror = () => {
+    if (sock !== ws || hasJoined) return;
+    showToast("Connection problem. Retrying…");
+  };
+  sock.onclose = () => {
+    clearTimeout(connectTimeout);
+    if (sock !== ws) return;
+    ws = null;
+    stopPing();
+    scheduleReconnect();
+  };
+}
 
-    if ((t === "joinResult" || t === "joined" || t === "playerJoined") && msg.ok !== false) {
-      if (typeof msg.teamIndex === "number") setTeamUI(msg.teamIndex);
-      if (msg.resumeToken) { resumeToken = msg.resumeToken; saveSession({ resumeToken }); }
-      if (msg.phase) setPhaseUI(msg.phase);
-      if (typeof msg.taps === "number") setTapUI(msg.taps);
-      setLoading(false); isConnecting = false; goToControl(); return;
-    }
+// Join / resume acked: the connection is usable again
+function onConnected(snapshot) {
+  hasJoined = true;
+  isConnecting = false;
+  reconnectAttempt = 0;
+  setConnState("open");
 
-    if ((t === "resumeResult" || t === "resumed" || t === "playerResumed") && msg.ok !== false) {
-      if (typeof msg.teamIndex === "number") setTeamUI(msg.teamIndex);
-      if (msg.resumeToken) { resumeToken = msg.resumeToken; saveSession({ resumeToken }); }
-      if (msg.phase) setPhaseUI(msg.phase);
-      if (typeof msg.taps === "number") setTapUI(msg.taps);
-      setLoading(false); isConnecting = false; goToControl(); return;
-    }
+  if (phase === "active" && typeof snapshot?.roundIndex === "number") currentRound = snapshot.roundIndex;
+  if (offlineTaps && offlineTaps.roundIndex !== currentRound) offlineTaps = null; // that round is gone
+  if (offlineTaps) startTapReplay();
+}
 
-    if (t === "phase") { if (msg.phase) setPhaseUI(msg.phase); return; }
-    if (t === "paused") { setStatusDot("orange"); setPhaseUI("join"); return; }
+function stopConnection() {
+  stopInput();
+  stopped = true;
+  hasJoined = false;
+  isConnecting = false;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  stopTapReplay();
+  offlineTaps = null;
+  dropSocket();
+  setConnState("idle");
+}
 
-    if (t === "ended") {
-      setPhaseUI("ended");
-      goToEnd({ won: false, ttr: null, gtr: null, isTie: String(msg?.result || "").toLowerCase() === "tie" });
-      return;
-    }
+/* ===========================
+   Latency (router ping -> pong)
+=========================== */
 
-    if (t === "roundEnd") {
-      hasSeenRoundEnd = true;
-      showRoundPopup(String(msg.result || "").toLowerCase() === "won" ? "ROUND WON!" : "ROUND LOST!", "Please wait for next round…", 2200);
-      canTap = false;
-      if (btnTap) btnTap.disabled = true;
+function startPing() {
+  stopPing();
+  pingTimer = setInterval(() => {
+    const now = Date.now();
+    if (pingSentAt) {
+      // No pong in time: the socket is dead even if the browser hasn't noticed
+      if (now - pingSentAt > PING_TIMEOUT_MS) {
+        dropSocket();
+        scheduleReconnect();
+      }
       return;
     }
+    if (now - lastPongAt < PING_EVERY_MS) return;
+    pingSentAt = now;
+    if (!wsSend({ type: "ping" })) pingSentAt = 0;
+  }, 1000);
+}
 
-    if (t === "roundStarting") {
-      if (!hasSeenRoundEnd) return;
-      showRoundCountdown(Number(msg.bufferSeconds ?? msg.seconds ?? 3));
-      canTap = false;
-      if (btnTap) btnTap.disabled = true;
-      return;
-    }
+function stopPing() {
+  clearInterval(pingTimer);
+  pingTimer = null;
+  pingSentAt = 0;
+}
 
-    if (t === "roundLive") {
-      hideRoundPopup();
-      if (phase === "active") {
-        canTap = true;
-        if (btnTap) btnTap.disabled = false;
-      }
-      return;
-    }
+function onPong() {
+  if (!pingSentAt) return;
+  lastPongAt = Date.now();
+  const ms = lastPongAt - pingSentAt;
+  pingSentAt = 0;
+  setText(latencyEl, `${ms} ms`);
+  latencyEl?.classList.toggle("is-slow", ms >= SLOW_LATENCY_MS);
+  setHidden(latencyEl, !hasJoined);
+}
 
-    if (t === "gameResult") {
-      if (typeof msg.taps === "number") setTapUI(msg.taps);
-      const st = String(msg.state || "").toLowerCase();
-      goToEnd({
-        won: st === "winner" || st === "win" || st === "won" || st === "victory",
-        isTie: st === "tie",
-        ttr: typeof msg.ttr === "number" ? msg.ttr : null,
-        gtr: typeof msg.gtr === "number" ? msg.gtr : null,
-        winningTeamLabel: msg.winningTeam ? String(msg.winningTeam) : null,
-      });
-      return;
+/* ===========================
+   Inbound messages
+=========================== */
+
+function handleMessage(msg) {
+  const t = msg.type;
+
+  if (t === "protocol") { protocolInfo = { version: msg.version, features: msg.features || [] }; return; }
+  if (t === "pong") { onPong(); return; }
+
+  if (t === "joinResult" && msg.ok === false) {
+    const text = msg.reason === "team_full" ? "That team is full. Try the other side." : msg.message || msg.reason || "Join failed.";
+    stopConnection(); showToast(text); return;
+  }
+  if (t === "resumeResult" && msg.ok === false) {
+    clearSession(); resumeToken = null; stopConnection(); showToast(msg.message || "Session expired. Please join again."); showView("input"); return;
+  }
+  if (t === "error" || msg.ok === false) {
+    setLoading(false); isConnecting = false; showToast(msg.error || msg.message || "Connection error."); return;
+  }
+
+  // Canonical acks (protocol v2): one joinResult / resumeResult, snapshot included
+  if (t === "joinResult" && msg.ok !== false) {
+    applyTeamBranding(msg.snapshot);
+    if (typeof msg.teamIndex === "number") setTeamUI(msg.teamIndex);
+    if (msg.resumeToken) { resumeToken = msg.resumeToken; saveSession({ resumeToken }); }
+    syncBeatClock(msg.snapshot);
+    if (msg.phase) setPhaseUI(msg.phase);
+    if (typeof msg.taps === "number") setTapUI(msg.taps);
+    applyInputConfig(msg.snapshot);
+    onConnected(msg.snapshot); goToControl(); return;
+  }
+
+  if (t === "resumeResult" && msg.ok !== false) {
+    applyTeamBranding(msg.snapshot);
+    if (typeof msg.teamIndex === "number") setTeamUI(msg.teamIndex);
+    if (msg.resumeToken) { resumeToken = msg.resumeToken; saveSession({ resumeToken }); }
+    syncBeatClock(msg.snapshot);
+    if (msg.phase) setPhaseUI(msg.phase);
+    if (typeof msg.taps === "number") setTapUI(msg.taps);
+    applyInputConfig(msg.snapshot);
+    onConnected(msg.snapshot); goToControl(); return;
+  }
+
+  if (t === "phase") {
+    if (msg.phase === "active") {
+      beatAnchorAt = performance.now(); // the server restarts its beat clock too
+      stopBeat(); // setPhaseUI restarts it on the new anchor
     }
+    if (msg.phase) setPhaseUI(msg.phase);
+    return;
+  }
+  if (t === "paused") { setStatusDot("orange"); setPhaseUI("join"); return; }
 
-    if (t === "tap" && typeof msg.taps === "number") setTapUI(msg.taps);
-  };
+  if (t === "kicked") {
+    clearSession(); resumeToken = null; stopConnection();
+    hideRoundPopup(); setPhaseUI("join"); showView("input");
+    showToast("You were removed from this game.");
+    return;
+  }
+
+  if (t === "ended") {
+    setPhaseUI("ended");
+    goToEnd({ won: false, ttr: null, gtr: null, isTie: String(msg?.result || "").toLowerCase() === "tie" });
+    return;
+  }
+
+  if (t === "roundEnd") {
+    hasSeenRoundEnd = true;
+    currentRound = null;
+    offlineTaps = null;
+    hideProgress();
+    const roundResult = String(msg.result || "").toLowerCase();
+    feedback.play(roundResult === "won" ? "roundWon" : roundResult === "tie" ? "roundTied" : "roundLost");
+    showRoundPopup(roundResult === "won" ? "ROUND WON!" : roundResult === "tie" ? "ROUND TIED!" : "ROUND LOST!", "Please wait for next round…", 2200);
+    stopInput();
+    canTap = false;
+    if (btnTap) btnTap.disabled = true;
+    return;
+  }
 
-  ws.onerror = () => { setLoading(false); isConnecting = false; showToast("WebSocket error. Check connection / URL."); };
-  ws.onclose = () => {
-    if (phase !== "ended" && resumeToken && code && username) {
-      setTimeout(() => {
-        if (!ws || ws.readyState === 1) return;
-        connectAndJoin({ codeIn: code, usernameIn: username, fullNameIn: fullName });
-      }, 600);
+  if (t === "roundStarting") {
+    currentRound = null;
+    if (!hasSeenRoundEnd) return;
+    showRoundCountdown(Number(msg.bufferSeconds ?? msg.seconds ?? 3), msg.suddenDeath ? "SUDDEN DEATH" : "NEXT ROUND");
+    stopInput();
+    canTap = false;
+    if (btnTap) btnTap.disabled = true;
+    return;
+  }
+
+  if (t === "roundLive") {
+    if (typeof msg.roundIndex === "number") currentRound = msg.roundIndex;
+    hideRoundPopup();
+    beatAnchorAt = performance.now(); // beat 0 = round live (same as the server's clock)
+    if (phase === "active") {
+      canTap = true;
+      if (btnTap) btnTap.disabled = false;
+      if (inputMode === "rhythm") startBeat();
+      feedback.play("go");
     }
-  };
+    return;
+  }
+
+  if (t === "gameResult") {
+    if (typeof msg.taps === "number") setTapUI(msg.taps);
+    const st = String(msg.state || "").toLowerCase();
+    const won = st === "winner" || st === "win" || st === "won" || st === "victory";
+    feedback.play(st === "tie" ? "gameTied" : won ? "gameWon" : "gameLost");
+    goToEnd({
+      won,
+      isTie: st === "tie",
+      ttr: typeof msg.ttr === "number" ? msg.ttr : null,
+      gtr: typeof msg.gtr === "number" ? msg.gtr : null,
+      winningTeamLabel: msg.winningTeam ? String(msg.winningTeam) : null,
+      prize: msg.prize && typeof msg.prize === "object" ? msg.prize : null,
+    });
+    return;
+  }
+
+  if (t === "progress") { showProgress(msg); return; }
+
+  if (t === "tap" && typeof msg.taps === "number") setTapUI(msg.taps);
+}
+
+function connectAndJoin({ codeIn, usernameIn, fullNameIn }) {
+  if (isConnecting) return;
+  isConnecting = true;
+
+  code = normalizeCode(codeIn);
+  username = (usernameIn || "").trim();
+  fullName = (fullNameIn || "").trim();
+
+  const minLen = Math.min(Math.max(3, CODE_LEN), MAX_CODE_LEN);
+  if (!code || code.length < minLen) {
+    isConnecting = false;
+    showToast(`Please enter a valid room code (${CODE_LEN} letters).`);
+    return;
+  }
+  if (!username) {
+    isConnecting = false;
+    showToast("Please enter a username.");
+    return;
+  }
+  if (!fullName) {
+    isConnecting = false;
+    showToast("Please enter your full name.");
+    return;
+  }
+
+  saveSession({ code, username, fullName, clientUid });
+  setText(uidHint, `UID: ${clientUid}`);
+  setHidden(uidHint, !config.devMode);
+
+  stopped = false;
+  hasJoined = false;
+  reconnectAttempt = 0;
+  openSocket();
 }
 
+/* ===========================
+   Taps (batched; kept while offline and replayed into the same round)
+=========================== */
+
 function queueTap(amount) {
   if (!canTap) return;
   const inc = Math.max(1, Number(amount) || 1);
@@ -396,15 +765,329 @@ function queueTap(amount) {
 function flushTaps() {
   tapFlushTimer = null;
   if (!tapBuffer) return;
-  if (!ws || ws.readyState !== 1) { tapBuffer = 0; return; }
-  wsSend({ type: "playerMsg", code, username, payload: { kind: "tap", count: tapBuffer } });
+  const count = tapBuffer;
   tapBuffer = 0;
+  if (connState !== "open") { stashOfflineTaps(count); return; }
+  // Live taps go straight out (a pending stash only gets what they leave of tapBudget());
+  // whatever the window can't take right now waits in the stash instead of being rejected
+  const live = Math.min(count, tapBudget(TAP_WINDOW_LIMIT));
+  if (live > 0 && !wsSend({ type: "playerMsg", code, username, payload: { kind: "tap", count: live } })) {
+    stashOfflineTaps(count);
+    return;
+  }
+  if (live > 0) noteSentTaps(live);
+  if (count > live) stashOfflineTaps(count - live);
+}
+
+function stashOfflineTaps(count) {
+  if (typeof currentRound !== "number") return; // no live round to credit them to
+  if (offlineTaps && offlineTaps.roundIndex !== currentRound) offlineTaps = null;
+  const total = (offlineTaps?.count || 0) + count;
+  offlineTaps = { roundIndex: currentRound, count: Math.min(MAX_OFFLINE_TAPS, total) };
+  if (connState === "open") startTapReplay();
+}
+
+// Our own view of the backend's per-player tap window, so a replay never trips it
+function noteSentTaps(count) {
+  const now = Date.now();
+  sentTaps.push({ at: now, n: count });
+  sentTaps = sentTaps.filter((e) => now - e.at < TAP_WINDOW_MS);
+}
+function tapBudget(limit = TAP_REPLAY_BUDGET) {
+  const now = Date.now();
+  return limit - sentTaps.filter((e) => now - e.at < TAP_WINDOW_MS).reduce((sum, e) => sum + e.n, 0);
+}
+
+function startTapReplay() {
+  if (tapReplayTimer) return;
+  tapReplayTimer = setInterval(() => {
+    if (!offlineTaps || connState !== "open") { stopTapReplay(); return; }
+    const n = Math.min(offlineTaps.count, MAX_TAPS_PER_MESSAGE, tapBudget());
+    if (n <= 0) return;
+    const payload = { kind: "tap", count: n, roundIndex: offlineTaps.roundIndex };
+    if (!wsSend({ type: "playerMsg", code, username, payload })) return;
+    noteSentTaps(n);
+    offlineTaps.count -= n;
+    if (offlineTaps.count <= 0) { offlineTaps = null; stopTapReplay(); }
+  }, TAP_REPLAY_MS);
+}
+function stopTapReplay() {
+  clearInterval(tapReplayTimer);
+  tapReplayTimer = null;
+}
+
+/* ===========================
+   Input modes (tap | hold | swipe | rhythm)
+=========================== */
+
+function sendInput(payload) {
+  // hold/swipe/beat credit is measured against server time: nothing to replay later
+  if (connState !== "open") return false;
+  return wsSend({ type: "playerMsg", code, username, payload });
+}
+
+function applyInputConfig(snap) {
+  if (Array.isArray(snap?.inputModes)) {
+    const allowed = snap.inputModes.filter((m) => INPUT_MODES.includes(m));
+    inputModes = allowed.length ? allowed : ["tap"];
+  }
+  if (snap?.inputTuning && typeof snap.inputTuning === "object") {
+    inputTuning = { ...DEFAULT_INPUT_TUNING, ...snap.inputTuning };
+  }
+
+  let saved = null;
+  try { saved = localStorage.getItem(K_INPUT_MODE); } catch {}
+  renderModePicker();
+  setInputMode(inputModes.includes(saved) ? saved : inputModes.includes(inputMode) ? inputMode : inputModes[0], false);
+}
+
+function renderModePicker() {
+  if (!modePicker) return;
+  modePicker.textContent = "";
+  for (const mode of inputModes) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "mode-btn";
+    btn.dataset.mode = mode;
+    btn.textContent = INPUT_LABELS[mode];
+    btn.addEventListener("click", () => setInputMode(mode, true));
+    modePicker.appendChild(btn);
+  }
+  setHidden(modePicker, inputModes.length < 2);
+}
+
+function setInputMode(mode, remember) {
+  stopInput();
+  inputMode = inputModes.includes(mode) ? mode : inputModes[0];
+  if (remember) {
+    try { localStorage.setItem(K_INPUT_MODE, inputMode); } catch {}
+  }
+
+  for (const btn of modePicker?.children || []) btn.classList.toggle("is-active", btn.dataset.mode === inputMode);
+  if (btnTap) {
+    btnTap.dataset.input = inputMode;
+    setAttr(btnTap, "aria-label", INPUT_HINTS[inputMode]);
+  }
+  if (viewControl) viewControl.dataset.input = inputMode;
+  setText(inputHint, INPUT_HINTS[inputMode]);
+  setHidden(inputHint, inputModes.length < 2 && inputMode === "tap");
+
+  if (inputMode === "rhythm" && canTap) startBeat();
+}
+
+// Round over / paused / left: report what's pending and stop the mode's timers
+function stopInput() {
+  endHold();
+  swipeLastY = null;
+  flushSwipe();
+  flushBeats();
+  stopBeat();
+}
+
+// Hold: report held time every HOLD_REPORT_MS while the button is down
+function startHold() {
+  if (!canTap || holdLastAt) return;
+  holdLastAt = Date.now();
+  setTapPressedVisual(true);
+  feedback.play("tap");
+  holdTimer = setInterval(reportHold, HOLD_REPORT_MS);
+}
+function reportHold() {
+  if (!canTap) { endHold(); return; }
+  const now = Date.now();
+  const ms = Math.min(2000, Math.round(now - holdLastAt));
+  holdLastAt = now;
+  if (ms >= 1) sendInput({ kind: "hold", ms });
+}
+function endHold() {
+  if (!holdLastAt) return;
+  clearInterval(holdTimer);
+  holdTimer = null;
+  if (canTap) reportHold();
+  holdLastAt = 0;
+  setTapPressedVisual(false);
+}
+
+// Swipe: downward travel in screen heights, batched
+function onSwipeStart(e) {
+  if (inputMode !== "swipe" || !canTap) return;
+  swipeLastY = e.clientY;
+}
+function onSwipeMove(e) {
+  if (inputMode !== "swipe" || swipeLastY === null) return;
+  const dy = e.clientY - swipeLastY;
+  swipeLastY = e.clientY;
+  if (!canTap || dy <= 0) return;
+  swipeDistance += dy / Math.max(1, window.innerHeight || 1);
+  if (!swipeFlushTimer) swipeFlushTimer = setTimeout(flushSwipe, SWIPE_FLUSH_MS);
+}
+function onSwipeEnd() {
+  swipeLastY = null;
+  flushSwipe();
+}
+function flushSwipe() {
+  clearTimeout(swipeFlushTimer);
+  swipeFlushTimer = null;
+  if (!swipeDistance) return;
+  const distance = Math.round(Math.min(MAX_SWIPE_PER_MESSAGE, swipeDistance) * 1000) / 1000;
+  swipeDistance = 0;
+  if (!canTap || distance <= 0) return;
+  sendInput({ kind: "swipe", distance });
+  feedback.play("tap");
+  setTapPressedVisual(true);
+  if (pressTimer) clearTimeout(pressTimer);
+  pressTimer = setTimeout(() => { setTapPressedVisual(false); pressTimer = null; }, PRESS_FEEDBACK_MS);
+}
+
+// Rhythm: local beat clock from the round going live; presses are sent as ms since beat 0 and
+// judged again by the server against its own clock (the judgement shown here is a preview)
+function beatIntervalMs() {
+  return 60000 / Math.max(1, Number(inputTuning.rhythmBpm) || DEFAULT_INPUT_TUNING.rhythmBpm);
+}
+function syncBeatClock(snap) {
+  if (typeof snap?.beatClockMs === "number") beatAnchorAt = performance.now() - snap.beatClockMs;
+}
+function startBeat() {
+  stopBeat();
+  const interval = beatIntervalMs();
+  // The ring closes in on the button over one beat (CSS), phase-locked to the anchor
+  if (btnTap) {
+    btnTap.style.setProperty("--beat-ms", `${interval}ms`);
+    btnTap.style.setProperty("--beat-delay", `${-((performance.now() - beatAnchorAt) % interval)}ms`);
+    btnTap.classList.add("is-beating");
+  }
+  const next = () => {
+    beatTimer = setTimeout(() => {
+      btnTap?.classList.add("on-beat");
+      setTimeout(() => btnTap?.classList.remove("on-beat"), BEAT_FLASH_MS);
+      next();
+    }, interval - ((performance.now() - beatAnchorAt) % interval));
+  };
+  next();
+}
+function stopBeat() {
+  clearTimeout(beatTimer);
+  beatTimer = null;
+  btnTap?.classList.remove("is-beating", "on-beat");
+}
+function pressBeat() {
+  if (!canTap || !beatTimer) return;
+  const interval = beatIntervalMs();
+  const at = Math.max(0, Math.round(performance.now() - beatAnchorAt));
+  const beat = Math.round(at / interval);
+  const off = Math.abs(at - beat * interval);
+  const repeat = beatLastClaimed.anchor === beatAnchorAt && beat <= beatLastClaimed.beat;
+  if (!repeat) beatLastClaimed = { anchor: beatAnchorAt, beat };
+  showJudgement(repeat ? "MISS" : off <= inputTuning.rhythmPerfectMs ? "PERFECT!" : off <= inputTuning.rhythmGoodMs ? "GOOD" : "MISS");
+
+  beatHits.push(at);
+  if (beatHits.length >= MAX_BEATS_PER_MESSAGE) flushBeats();
+  else if (!beatFlushTimer) beatFlushTimer = setTimeout(flushBeats, BEAT_FLUSH_MS);
+}
+function flushBeats() {
+  clearTimeout(beatFlushTimer);
+  beatFlushTimer = null;
+  if (!beatHits.length) return;
+  const hits = beatHits.slice(0, MAX_BEATS_PER_MESSAGE);
+  beatHits = [];
+  if (canTap) sendInput({ kind: "beat", at: hits });
+}
+function showJudgement(text) {
+  setText(inputHint, text);
+  setHidden(inputHint, false);
+  if (inputHint) inputHint.dataset.judgement = text === "PERFECT!" ? "perfect" : text === "GOOD" ? "good" : "miss";
+  clearTimeout(judgementTimer);
+  judgementTimer = setTimeout(() => {
+    if (inputHint) delete inputHint.dataset.judgement;
+    setText(inputHint, INPUT_HINTS[inputMode]);
+  }, JUDGEMENT_MS);
+}
+
+/* ===========================
+   Runtime config + profiles
+=========================== */
+
+function metaContent(name) {
+  return (document.querySelector?.(`meta[name="${name}"]`)?.getAttribute("content") || "").trim();
+}
+
+function resolveWsUrl(url) {
+  const v = String(url || "").trim();
+  if (v && v !== "auto") return v;
+  const { protocol, host } = window.location;
+  return `${protocol === "https:" ? "wss:" : "ws:"}//${host}/ws`;
+}
+
+function isWsUrl(v) {
+  return /^wss?:\/\/[^\s]+$/i.test(String(v || "").trim());
+}
+
+async function fetchConfigFile() {
+  const ctrl = typeof AbortController === "function" ? new AbortController() : null;
+  const timer = ctrl ? setTimeout(() => ctrl.abort(), CONFIG_TIMEOUT_MS) : null;
+  try {
+    const res = await fetch(CONFIG_URL, { cache: "no-store", signal: ctrl?.signal });
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null; // missing / offline / bad JSON -> built-in profiles
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function loadConfig() {
+  const file = await fetchConfigFile();
+  const params = new URL(window.location.href).searchParams;
+  const profiles = { ...DEFAULT_PROFILES };
+  for (const [name, p] of Object.entries(file?.profiles || {})) {
+    if (p && typeof p === "object") profiles[name] = { ...(profiles[name] || {}), ...p };
+  }
+
+  // The deployed profile (config.json / meta) decides whether the link may pick another one:
+  // a prod build ignores ?profile=staging&ws=... instead of loosening itself
+  const deployedWanted = file?.profile || metaContent("tow-profile") || DEFAULT_PROFILE;
+  const deployed = profiles[deployedWanted] ? deployedWanted : DEFAULT_PROFILE;
+  const urlOverrides = !!profiles[deployed].allowUrlOverrides;
+  const urlProfile = params.get("profile");
+  const profile = urlOverrides && urlProfile && profiles[urlProfile] ? urlProfile : deployed;
+  const next = { ...DEFAULT_PROFILES.prod, ...profiles[profile], profile };
+
+  const metaWs = metaContent("tow-ws-url");
+  if (metaWs && !file?.profiles?.[profile]?.wsUrl) next.wsUrl = metaWs;
+
+  // Raw endpoint overrides only where both the deployed and the chosen profile allow them
+  const urlWs = params.get("ws");
+  if (urlWs && urlOverrides && next.allowUrlOverrides && isWsUrl(urlWs)) next.wsUrl = urlWs;
+
+  const dev = params.get("dev");
+  if (dev === "1" || dev === "0") {
+    try { localStorage.setItem(K_DEV, dev); } catch {}
+  }
+  const stickyDev = localStorage.getItem(K_DEV);
+  if (stickyDev === "1" || stickyDev === "0") next.devMode = stickyDev === "1";
+
+  next.wsUrl = resolveWsUrl(next.wsUrl);
+  next.devMode = !!next.devMode;
+  config = next;
+  return config;
+}
+
+// Offline shell + home-screen install (sw.js). Not on the local profile, where a cached
+// script.js would hide the edit you just made; needs https (or localhost).
+function registerServiceWorker() {
+  if (config.profile === "local" || !("serviceWorker" in navigator) || !window.isSecureContext) return;
+  navigator.serviceWorker.register("./sw.js").catch(() => {});
 }
 
 function boot() {
+  feedback.init({ bar: feedbackBar, overlay: screenFlash });
+  // Browsers only start audio from a gesture: any touch on the page will do
+  ["pointerdown", "touchend"].forEach((type) => document.addEventListener(type, () => feedback.unlock(), { passive: true }));
+
   setText(uidHint, `UID: ${clientUid}`);
-  setHidden(uidHint, !DEV_MODE);
+  setHidden(uidHint, !config.devMode);
   setText(uidView, clientUid);
+  setText(serverView, `${config.profile} · ${config.wsUrl}`);
 
   if (codeLabelEl) setText(codeLabelEl, "Room Code");
   if (roomCodeEl) roomCodeEl.maxLength = String(MAX_CODE_LEN);
@@ -442,7 +1125,10 @@ function boot() {
   if (btnTap) {
     const tapHandler = (e) => {
       if (e) e.preventDefault();
-      queueTap(1);
+      if (inputMode === "hold" || inputMode === "swipe") return;
+      if (canTap) feedback.play("tap");
+      if (inputMode === "rhythm") pressBeat();
+      else queueTap(1);
       if (pressTimer) clearTimeout(pressTimer);
       setTapPressedVisual(true);
       pressTimer = setTimeout(() => {
@@ -453,15 +1139,28 @@ function boot() {
 
     btnTap.addEventListener("click", tapHandler);
     btnTap.addEventListener("touchstart", tapHandler, { passive: false });
+
+    btnTap.addEventListener("pointerdown", (e) => {
+      if (inputMode !== "hold") return;
+      try { btnTap.setPointerCapture(e.pointerId); } catch {}
+      startHold();
+    });
+    ["pointerup", "pointercancel", "lostpointercapture"].forEach((type) => btnTap.addEventListener(type, endHold));
+  }
+
+  // Swipes count anywhere on the control view
+  if (viewControl) {
+    viewControl.addEventListener("pointerdown", onSwipeStart);
+    viewControl.addEventListener("pointermove", onSwipeMove);
+    ["pointerup", "pointercancel", "pointerleave"].forEach((type) => viewControl.addEventListener(type, onSwipeEnd));
   }
 
   if (btnRestart) {
     btnRestart.addEventListener("click", () => {
       clearSession();
-      phase = "join"; canTap = false; taps = 0; teamIndex = null; resumeToken = null;
+      stopConnection();
+      phase = "join"; canTap = false; taps = 0; teamIndex = null; resumeToken = null; currentRound = null;
       hideRoundPopup();
-      try { if (ws) ws.close(); } catch {}
-      ws = null;
       setTapUI(0);
       setPhaseUI("join");
       setTapPressedVisual(false);
@@ -471,10 +1170,28 @@ function boot() {
     });
   }
 
+  // Cinema Wi-Fi: react to the OS network state instead of waiting out the backoff
+  window.addEventListener("offline", () => {
+    if (connState === "idle" || !shouldReconnect()) return;
+    dropSocket();
+    scheduleReconnect(); // navigator.onLine is false now -> "offline" until the "online" event
+  });
+  window.addEventListener("online", () => {
+    if (connState !== "offline" && connState !== "reconnecting") return;
+    reconnectAttempt = 0;
+    openSocket();
+  });
+  // Background tabs throttle timers; retry right away when the player comes back
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible" && connState === "reconnecting" && !ws) openSocket();
+  });
+
   showView("input");
   setLoading(false);
   setPhaseUI("join");
-  setHidden(devPanel, !DEV_MODE);
+  setHidden(devPanel, !config.devMode);
+
+  registerServiceWorker();
 }
 
-boot();
+loadConfig().catch(() => {}).then(boot);
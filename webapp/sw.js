@@ -0,0 +1,107 @@
+"use strict";
+
+// Offline shell for the controller (registered by script.js, scope = this folder).
+// - Precaches the page, styles, script and team art so repeat visits don't refetch ~0.5 MB
+//   over venue Wi-Fi; bump CACHE_VERSION when any of SHELL changes shape.
+// - Shell + assets: cached copy first, refreshed in the background (stale-while-revalidate).
+// - config.json: network first (deploys switch profiles), cached copy when offline or slow.
+// - Navigation with nothing cached and no network -> offline.html.
+// - WebSocket traffic never goes through a service worker.
+
+const CACHE_VERSION = "tow-controller-v5";
+
+const SHELL = [
+  "./",
+  "./index.html",
+  "./style.css",
+  "./feedback.js",
+  "./script.js",
+  "./config.json",
+  "./offline.html",
+  "./manifest.webmanifest",
+  "./assets/background.png",
+  "./assets/Button_Active.png",
+  "./assets/Button_Inactive.png",
+  "./assets/Banner_TeamA.png",
+  "./assets/Banner_TeamB.png",
+  "./assets/TruckA.png",
+  "./assets/TruckB.png",
+];
+
+const OFFLINE_URL = "./offline.html";
+
+// Congested Wi-Fi: don't hold the join form hostage to a slow config.json
+const CONFIG_NETWORK_TIMEOUT_MS = 1500;
+const CONFIG_PATH = new URL("./config.json", self.location).pathname;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_VERSION)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE_VERSION).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// key: where the response is stored (navigations drop the query so codes don't pile up)
+function refresh(cache, request, key = request) {
+  return fetch(request).then((res) => {
+    if (res && res.ok) cache.put(key, res.clone());
+    return res;
+  });
+}
+
+async function staleWhileRevalidate(request, { ignoreSearch = false, key } = {}) {
+  const cache = await caches.open(CACHE_VERSION);
+  const cached = await cache.match(request, { ignoreSearch });
+  const network = refresh(cache, request, key).catch(() => null);
+  return cached || (await network);
+}
+
+// Network (within timeoutMs) first, cached copy otherwise; a late response still refreshes the cache
+async function networkFirst(request, timeoutMs) {
+  const cache = await caches.open(CACHE_VERSION);
+  const network = refresh(cache, request);
+  const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), timeoutMs));
+  try {
+    return await Promise.race([network, timeout]);
+  } catch (_) {
+    network.catch(() => {});
+    const cached = await cache.match(request, { ignoreSearch: true });
+    return cached || network.catch(() => Response.error());
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname === CONFIG_PATH) {
+    event.respondWith(networkFirst(request, CONFIG_NETWORK_TIMEOUT_MS));
+    return;
+  }
+
+  // Join links carry ?cd=CODE / ?seat= / ?team=: any of them is the same cached page
+  if (request.mode === "navigate") {
+    event.respondWith(
+      staleWhileRevalidate(request, { ignoreSearch: true, key: url.origin + url.pathname }).then(
+        async (res) => res || (await caches.match(OFFLINE_URL)) || Response.error()
+      )
+    );
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(request).then((res) => res || Response.error()));
+});